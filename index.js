@@ -5,24 +5,48 @@ const jwt = require('jsonwebtoken');
 const bodyParser = require('body-parser');
 const cors = require('cors');
 const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const cron = require('node-cron');
 const axios = require('axios');
 const rateLimit = require('express-rate-limit');
+const { parseMpesaStatement, statementPhoneMatches } = require('./utils/statement');
+const { formatPhone, msisdnMatches } = require('./utils/phone');
+const { createEarningsEngine } = require('./utils/earnings');
+const totp = require('./utils/totp');
+const { createNotifier } = require('./utils/notify');
+const { parseCidr, cidrContains } = require('./utils/cidr');
+const { validate, ...field } = require('./utils/validate');
+const { callbackId, createDarajaClient, isB2CRejection, readB2CResult, b2cResultAction, b2cTimeoutAction, nextPayoutAttempt } = require('./utils/daraja');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const SECRET = process.env.BF_SECRET;
 const ADMIN_EMAIL = process.env.ADMIN_EMAIL;
 
+// Business day for earnings and withdrawal rules (Kenya, UTC+3, no DST)
+const BUSINESS_TIMEZONE = process.env.BUSINESS_TIMEZONE || 'Africa/Nairobi';
+const earnings = createEarningsEngine({ timeZone: BUSINESS_TIMEZONE });
+
+// Email (SMTP_*) and SMS (SMS_PROVIDER) delivery for one-time codes
+const notifier = createNotifier();
+
 // ================= MONGODB =================
 mongoose.connect(process.env.MONGO_URI)
     .then(async () => {
         console.log('MongoDB connected');
         try { await mongoose.connection.collection('withdrawals').dropIndexes(); console.log('Withdrawals indexes cleared'); } catch(e) {}
         try { await mongoose.connection.collection('payments').dropIndexes(); console.log('Payments indexes cleared'); } catch(e) {}
-        await loadFridgeStates();
+        await migrateWithdrawalStatus();
+        await migrateHoldings();
+        await migrateEarningsRunItems();
+        await migratePhoneVerification();
+        await loadPlans();
+        await loadIpBans();
         await loadCommunityLinks();
+        // Catch up any day missed while the server was down
+        await runDailyEarnings({ trigger: 'boot' }).catch(() => {});
     })
     .catch(err => {
         console.error('MongoDB error:', err);
@@ -34,24 +58,33 @@ const userSchema = new mongoose.Schema({
     name: String,
     email: { type: String, unique: true },
     password: String,
+    passwordChangedAt: Date,     // last reset, by an admin or by the user with a code
     phone: String,
+    // Proven by a code sent to the address / number (see VERIFY_TARGETS); withdrawals need phoneVerified
+    emailVerified: { type: Boolean, default: false },
+    emailVerifiedAt: Date,
+    phoneVerified: { type: Boolean, default: false },
+    phoneVerifiedAt: Date,
+    phoneVerifiedBy: String,     // set when an admin or the boot migration verified it instead of a code
     balance: { type: Number, default: 0 },
     earning: { type: Number, default: 0 },
-    fridges: [{
-        id: String,
-        name: String,
-        price: Number,
-        dailyEarn: Number,
-        boughtAt: Date,
-        endTime: Date,
-        earningAdded: Boolean,
-        lastEarnedAt: Date
-    }],
+    earningOnHold: { type: Number, default: 0 }, // reserved by pending withdrawals, already out of earning
+    // Owned fridges live in the holdings collection; an old embedded `fridges` array is moved there at boot
     createdAt: { type: Date, default: Date.now },
     lastDepositAttempt: Date,
     lastWithdrawalAttempt: Date,
     referredBy: { type: String, default: null },
     referralRewarded: { type: Boolean, default: false },
+    adminRole: { type: String, default: null }, // super | finance | support | security (see ADMIN_ROLES)
+    twoFactor: {
+        enabled: { type: Boolean, default: false },
+        // Never sent to clients: load with .select(TWO_FACTOR_SECRETS) where needed
+        secret: { type: String, select: false },          // sealed TOTP secret (see sealSecret)
+        pendingSecret: { type: String, select: false },   // sealed, until the first code confirms enrolment
+        recoveryCodes: { type: [String], select: false }, // sha256 of each unused code
+        lastStep: Number,        // last TOTP step accepted, so a code works once
+        enabledAt: Date
+    },
     banned: { type: Boolean, default: false },
     isMarketer: { type: Boolean, default: false },
     marketerCommission: { type: Number, default: 0 },
@@ -73,25 +106,93 @@ const paymentSchema = new mongoose.Schema({
     fridgePrice: Number,
     fridgeDailyEarn: { type: Number, default: 0 },
     fridgeDurationHrs: { type: Number, default: 0 },
+    planVersion: Number,         // Plan version the price and earnings above were taken from
     phone: String,
     transactionCode: String,
     checkoutRequestId: String,   // STK Push CheckoutRequestID for callback matching
-    stkStatus: { type: String, default: 'pending' }, // pending | success | failed | manual
+    stkStatus: { type: String, default: 'pending' }, // pending | success | review | failed | expired | manual
+    stkResultDesc: String,       // last ResultDesc from the callback or a status query
+    stkCheckedAt: Date,          // last STK Push Query attempt
+    reviewReason: { type: String, default: '' }, // why a callback put the payment in the review queue
+    stkConfirmedBy: String,      // callback | query: what reported the prompt as paid
     approved: { type: Boolean, default: false },
     revoked: { type: Boolean, default: false },
+    approvedAt: Date,
+    approvedBy: String,          // admin email, or 'system:stk' for auto-approval
+    rejected: { type: Boolean, default: false }, // kept on record so the receipt stays blocked
+    rejectedAt: Date,
+    rejectedBy: String,
+    rejectionReason: { type: String, default: '' },
+    c2bMatch: { type: String, default: 'unchecked' }, // unchecked | matched | unmatched | mismatch
+    c2bMatchNote: { type: String, default: '' },
+    c2bTransactionId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    referral: {                  // reward this payment paid to the buyer's referrer, if any
+        referrerEmail: String,
+        amount: Number,
+        ledgerTxnId: String,
+        rewardedAt: Date,
+        clawedBackAt: Date,
+        clawedBackBy: String,
+        clawbackTxnId: String
+    },
     createdAt: { type: Date, default: Date.now }
 }, { collection: 'payments' });
 const Payment = mongoose.model('Payment', paymentSchema);
 
+// requested -> approved -> paid, or requested -> rejected | cancelled
+const WITHDRAWAL_TRANSITIONS = {
+    requested: ['approved', 'rejected', 'cancelled'],
+    approved:  ['paid'],
+    paid:      [],
+    rejected:  [],
+    cancelled: []
+};
+
 const withdrawalSchema = new mongoose.Schema({
     userEmail: String,
     phone: String,
     amount: Number,
     fee: { type: Number, default: 0 },
     netAmount: { type: Number, default: 0 }, // amount user actually receives
-    approved: { type: Boolean, default: false },
+    held: { type: Boolean, default: false },  // amount was reserved from earning at request time
+    status: { type: String, enum: Object.keys(WITHDRAWAL_TRANSITIONS), default: 'requested' },
+    approved: { type: Boolean, default: false }, // kept in step with status for older clients
+    approvedAt: Date,
+    approvedBy: String,
+    paidAt: Date,
+    paidBy: String,
+    rejectedAt: Date,
+    rejectedBy: String,
+    rejectionReason: { type: String, default: '' },
+    cancelledAt: Date,
+    payout: {                                   // automatic M-Pesa B2C payout
+        state: { type: String, default: 'none' }, // none | queued | sending | sent | unknown | retry | success | failed
+        attempts: { type: Number, default: 0 },
+        conversationId: String,
+        originatorConversationId: String,
+        receipt: String,                        // M-Pesa TransactionID from the result callback
+        resultCode: Number,
+        resultDesc: String,
+        lastAttemptAt: Date,
+        nextAttemptAt: Date,
+        log: [{
+            at: { type: Date, default: Date.now },
+            conversationId: String,
+            originatorConversationId: String,
+            outcome: String,                    // sent | error | unknown | success | failed | timeout | stale
+            detail: String
+        }]
+    },
+    history: [{
+        status: String,
+        at: { type: Date, default: Date.now },
+        by: String,   // admin email, user email or 'system'
+        note: String
+    }],
     createdAt: { type: Date, default: Date.now }
 }, { collection: 'withdrawals' });
+withdrawalSchema.index({ userEmail: 1, status: 1 });
+withdrawalSchema.index({ 'payout.log.conversationId': 1 });
 const Withdrawal = mongoose.model('Withdrawal', withdrawalSchema);
 
 const activityLogSchema = new mongoose.Schema({
@@ -125,6 +226,22 @@ const securityLogSchema = new mongoose.Schema({
 }, { collection: 'securitylogs' });
 const SecurityLog = mongoose.model('SecurityLog', securityLogSchema);
 
+// One document per ban. Lifted and expired bans stay: they are what escalation counts.
+const ipBanSchema = new mongoose.Schema({
+    cidr: { type: String, required: true }, // one address or a range, as written by parseCidr
+    reason: { type: String, default: '' },
+    source: String,                         // manual | auto-404 | blocked-path | sql-xss | honeypot
+    tier: Number,                           // step of IP_BAN_ESCALATION, automatic bans only
+    createdBy: { type: String, default: 'system' },
+    createdAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, default: null }, // null = permanent
+    liftedAt: { type: Date, default: null },
+    liftedBy: String
+}, { collection: 'ipbans' });
+ipBanSchema.index({ liftedAt: 1, expiresAt: 1 });
+ipBanSchema.index({ cidr: 1, createdAt: -1 });
+const IpBan = mongoose.model('IpBan', ipBanSchema);
+
 const fridgeStateSchema = new mongoose.Schema({
     id: { type: String, unique: true },
     locked: { type: Boolean, default: true },
@@ -135,6 +252,197 @@ const fridgeStateSchema = new mongoose.Schema({
 }, { collection: 'fridgestates' });
 const FridgeState = mongoose.model('FridgeState', fridgeStateSchema);
 
+// ================= PLAN (FRIDGE CATALOG) SCHEMA =================
+// One document per fridge id. Terms live in append-only versions; an edit adds a version
+// and moves `version` to it, so payments and owned fridges keep pointing at what they bought.
+const planVersionSchema = new mongoose.Schema({
+    version: Number,
+    name: String,
+    price: Number,
+    dailyEarn: Number,
+    durationHrs: { type: Number, default: 0 },  // offer fridges only
+    img: String,
+    createdBy: String,
+    createdAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const planSchema = new mongoose.Schema({
+    planId: { type: String, unique: true },      // same as the fridge id, e.g. '4ft' or 'offer1'
+    version: { type: Number, default: 1 },       // current version
+    versions: [planVersionSchema],
+    sortOrder: { type: Number, default: 0 },
+    locked: { type: Boolean, default: false },
+    startTime: { type: Date, default: null },    // when an offer was unlocked
+    retired: { type: Boolean, default: false },
+    retiredAt: Date,
+    retiredBy: String,
+    createdAt: { type: Date, default: Date.now }
+}, { collection: 'plans' });
+const Plan = mongoose.model('Plan', planSchema);
+
+// ================= HOLDING SCHEMA =================
+// One owned fridge. Created by approving exactly one payment and changed only through its status.
+const holdingSchema = new mongoose.Schema({
+    userEmail: String,
+    paymentId: { type: mongoose.Schema.Types.ObjectId, default: null }, // null only for fridges migrated without a matching payment
+    fridgeId: String,
+    name: String,
+    price: Number,
+    dailyEarn: Number,
+    planVersion: Number,         // Plan version the fridge was bought under
+    boughtAt: Date,
+    endTime: Date,               // offer fridges: when the one-off payout is due
+    earningAdded: Boolean,       // offer fridges: payout done
+    lastEarnedAt: Date,
+    status: { type: String, default: 'active' }, // active | revoked | expired
+    statusAt: Date,
+    history: [{
+        at: { type: Date, default: Date.now },
+        action: String,          // created | revoked | expired | migrated | repaired
+        by: String,
+        note: String
+    }],
+    createdAt: { type: Date, default: Date.now }
+}, { collection: 'holdings' });
+holdingSchema.index({ userEmail: 1, status: 1 });
+holdingSchema.index({ paymentId: 1 }, { unique: true, partialFilterExpression: { paymentId: { $type: 'objectId' } } });
+holdingSchema.index({ status: 1, dailyEarn: 1, _id: 1 });          // daily earnings cursor
+holdingSchema.index({ status: 1, earningAdded: 1, endTime: 1 });   // offer payout job
+const Holding = mongoose.model('Holding', holdingSchema);
+
+// ================= C2B TRANSACTION SCHEMA =================
+// One document per till payment reported by Daraja's C2B confirmation callback
+const c2bTransactionSchema = new mongoose.Schema({
+    transId: { type: String, unique: true },   // M-Pesa receipt number
+    transType: String,
+    transTime: String,                         // YYYYMMDDHHmmss, Kenya time
+    amount: Number,
+    shortCode: String,
+    billRefNumber: String,
+    msisdn: String,                            // may arrive masked or hashed
+    firstName: String,
+    paymentId: { type: mongoose.Schema.Types.ObjectId, default: null }, // Payment it was matched to
+    raw: Object,
+    receivedAt: { type: Date, default: Date.now }
+}, { collection: 'c2btransactions' });
+const C2BTransaction = mongoose.model('C2BTransaction', c2bTransactionSchema);
+
+// ================= DARAJA CALLBACK SCHEMA =================
+// Raw copy of every callback Safaricom (or anyone) sends us, kept as evidence
+const darajaCallbackSchema = new mongoose.Schema({
+    kind: String,               // stk | c2b_validation | c2b_confirmation | b2c_result | b2c_timeout
+    ip: String,
+    payload: Object,
+    paymentId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    withdrawalId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    outcome: { type: String, default: '' },
+    receivedAt: { type: Date, default: Date.now }
+}, { collection: 'darajacallbacks' });
+darajaCallbackSchema.index({ paymentId: 1 });
+const DarajaCallback = mongoose.model('DarajaCallback', darajaCallbackSchema);
+
+// ================= EARNING DAY SCHEMA =================
+// What a normal fridge was paid for one Kenya date; never more than one per fridge per day
+const earningDaySchema = new mongoose.Schema({
+    userEmail: String,
+    fridgeRef: String,       // _id of the fridge entry on the user
+    fridgeId: String,        // catalog id, e.g. '4ft'
+    date: String,            // Kenya date YYYY-MM-DD
+    amount: Number,
+    ledgerTxnId: String,
+    runId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    // Set when the run was reversed. The record stays, so catch-up does not pay the day again
+    // until an admin re-credits the run.
+    reversedAt: { type: Date, default: null },
+    reversalTxnId: String,
+    createdAt: { type: Date, default: Date.now }
+}, { collection: 'earningdays' });
+earningDaySchema.index({ fridgeRef: 1, date: 1 }, { unique: true });
+earningDaySchema.index({ userEmail: 1, date: -1 });
+const EarningDay = mongoose.model('EarningDay', earningDaySchema);
+
+// ================= EARNINGS RUN SCHEMA =================
+// Journal of one runDailyEarnings call. The run keeps totals and its checkpoint; what each
+// fridge-day got is in earningsrunitems, so a run of any size stays one small document.
+const earningsRunSchema = new mongoose.Schema({
+    date: String,                // Kenya date the run was for
+    trigger: String,             // cron | admin | boot | recredit
+    startedBy: String,
+    status: { type: String, default: 'running' }, // running | completed | reversing | reversed | recrediting | recredited
+    startedAt: { type: Date, default: Date.now },
+    finishedAt: Date,
+    totalCredited: { type: Number, default: 0 },
+    usersUpdated: { type: Number, default: 0 },
+    fridgeDays: { type: Number, default: 0 },
+    checkpoint: { type: mongoose.Schema.Types.ObjectId, default: null }, // last User _id fully processed
+    batches: { type: Number, default: 0 },
+    error: String,
+    reversedAt: Date,
+    reversedBy: String,
+    reversalReason: String,
+    recreditOf: { type: mongoose.Schema.Types.ObjectId, default: null }, // the reversed run this one pays again
+    recreditedAt: Date,
+    recreditedBy: String
+}, { collection: 'earningsruns' });
+earningsRunSchema.index({ startedAt: -1 });
+earningsRunSchema.index({ status: 1, startedAt: -1 });
+const EarningsRun = mongoose.model('EarningsRun', earningsRunSchema);
+
+// One fridge-day credited by a run
+const earningsRunItemSchema = new mongoose.Schema({
+    runId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    userEmail: String,
+    fridgeRef: String,
+    fridgeId: String,
+    date: String,
+    amount: Number,
+    ledgerTxnId: String,
+    prevLastEarnedAt: Date,  // the holding's lastEarnedAt before this run
+    reversalTxnId: String
+}, { collection: 'earningsrunitems' });
+earningsRunItemSchema.index({ runId: 1, userEmail: 1 });
+const EarningsRunItem = mongoose.model('EarningsRunItem', earningsRunItemSchema);
+
+// ================= RECONCILIATION SCHEMA =================
+const reconciliationSchema = new mongoose.Schema({
+    uploadedBy: String,
+    fileName: String,
+    periodStart: Date,
+    periodEnd: Date,
+    summary: Object,
+    matched: Array,              // statement lines tied to a Payment or Withdrawal
+    unrecordedReceipts: Array,   // money received with no payment record
+    amountMismatches: Array,     // receipt found but amount differs from the fridge price
+    approvedNotReceived: Array,  // approved payments with no money in the statement
+    unrecordedPayouts: Array,    // money sent to a phone with no withdrawal record
+    payoutsNotSent: Array,       // paid withdrawals with no money out in the statement
+    createdAt: { type: Date, default: Date.now }
+}, { collection: 'reconciliations' });
+const Reconciliation = mongoose.model('Reconciliation', reconciliationSchema);
+
+// ================= PENDING ADMIN ACTION SCHEMA =================
+// Maker-checker queue: a sensitive action proposed by one admin and carried out when another approves
+const PENDING_ACTION_STATUSES = ['pending', 'executing', 'executed', 'failed', 'rejected', 'cancelled'];
+const pendingActionSchema = new mongoose.Schema({
+    type: { type: String, required: true }, // one of SENSITIVE_ACTIONS
+    params: Object,              // what the executor is called with (a password arrives here already hashed)
+    target: String,              // user email, payment or withdrawal id, for listing
+    summary: String,
+    status: { type: String, enum: PENDING_ACTION_STATUSES, default: 'pending' },
+    proposedBy: String,
+    proposedAt: { type: Date, default: Date.now },
+    reason: { type: String, default: '' },
+    before: Object,              // target's values when proposed
+    after: Object,               // target's values once carried out
+    decidedBy: String,
+    decidedAt: Date,
+    decisionNote: { type: String, default: '' },
+    result: String,              // executor's message
+    error: String
+}, { collection: 'pendingactions' });
+pendingActionSchema.index({ status: 1, proposedAt: -1 });
+const PendingAction = mongoose.model('PendingAction', pendingActionSchema);
+
 // ================= MESSAGE SCHEMA =================
 const messageSchema = new mongoose.Schema({
     userEmail: { type: String, required: true },
@@ -151,8 +459,65 @@ const messageSchema = new mongoose.Schema({
 }, { collection: 'messages' });
 const Message = mongoose.model('Message', messageSchema);
 
+// ================= SESSION SCHEMA =================
+// One login on one device. Access tokens carry the session id, so revoking here ends them at once.
+const sessionSchema = new mongoose.Schema({
+    userEmail: { type: String, required: true },
+    tokenHash: { type: String, required: true },  // sha256 of the current refresh token secret
+    previousHashes: [String],                     // rotated-out secrets, to spot a stolen token being replayed
+    rotatedAt: Date,
+    ip: String,
+    userAgent: String,
+    createdAt: { type: Date, default: Date.now },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    revokedReason: String                         // logout | logout-all | banned | password-reset | reuse
+}, { collection: 'sessions' });
+sessionSchema.index({ userEmail: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+const Session = mongoose.model('Session', sessionSchema);
+
+// ================= ONE-TIME CODE SCHEMA =================
+// Short numeric codes sent by email or SMS. Only an HMAC of the code is stored.
+const oneTimeCodeSchema = new mongoose.Schema({
+    userEmail: { type: String, required: true },
+    purpose: { type: String, required: true },   // password-reset | verify-email | verify-phone
+    channel: String,                              // email | sms
+    destination: String,                          // address or number the code went to
+    codeHash: { type: String, required: true },
+    attempts: { type: Number, default: 0 },
+    usedAt: { type: Date, default: null },
+    createdAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true }
+}, { collection: 'onetimecodes' });
+oneTimeCodeSchema.index({ userEmail: 1, purpose: 1, createdAt: -1 });
+oneTimeCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+const OneTimeCode = mongoose.model('OneTimeCode', oneTimeCodeSchema);
+
+// ================= LEDGER SCHEMA =================
+// Every change to user.earning is posted as a debit/credit pair sharing a txnId.
+// User accounts are liabilities: credits increase the balance, debits reduce it.
+const ledgerEntrySchema = new mongoose.Schema({
+    txnId: { type: String, required: true },
+    account: { type: String, required: true },   // 'user:<email>' or 'platform:<name>'
+    userEmail: String,                           // user the posting belongs to
+    side: { type: String, enum: ['debit', 'credit'], required: true },
+    amount: { type: Number, required: true },    // always positive
+    reason: { type: String, required: true },    // one of LEDGER_REASONS
+    sourceType: String,                          // payment | withdrawal | fridge | offercode | activitylog | trade
+    sourceId: String,
+    memo: { type: String, default: '' },
+    createdAt: { type: Date, default: Date.now }
+}, { collection: 'ledgerentries' });
+ledgerEntrySchema.index({ account: 1, createdAt: -1 });
+ledgerEntrySchema.index({ sourceType: 1, sourceId: 1 });
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+
 // ================= FRIDGES =================
-let FRIDGES = [
+// Seed for an empty plans collection. At runtime FRIDGES is the in-memory copy of the
+// current version of every plan that is not retired (see loadPlans).
+const DEFAULT_FRIDGES = [
     { id: '100', name: 'low Earning Fridge 100', price: 100, dailyEarn: 5, img: 'images/fridge100.jpg', locked: false },
     { id: '200', name: 'low Earning Fridge 200', price: 200, dailyEarn: 10, img: 'images/fridge200.jpg', locked: false },
     { id: '300', name: 'low Earning Fridge 300', price: 300, dailyEarn: 15, img: 'images/fridge300.jpg', locked: false },
@@ -173,42 +538,104 @@ let FRIDGES = [
     { id: 'offer8', name: 'Offer Fridge 8', price: 0, dailyEarn: 0, durationHrs: 0, startTime: null, img: 'images/offer8.jpg', locked: true },
 ];
 
-// ================= FRIDGE STATE PERSISTENCE =================
-async function loadFridgeStates() {
-    try {
-        const states = await FridgeState.find();
-        for (const state of states) {
-            const fridge = FRIDGES.find(f => f.id === state.id);
-            if (fridge) {
-                fridge.locked     = state.locked;
-                fridge.price      = state.price;
-                fridge.dailyEarn  = state.dailyEarn;
-                fridge.durationHrs = state.durationHrs;
-                fridge.startTime  = state.startTime;
-            }
-        }
-        console.log(`✅ Loaded ${states.length} fridge states from MongoDB`);
-    } catch(err) {
-        console.error('loadFridgeStates error:', err);
+let FRIDGES = [];
+
+const PLAN_TERMS = ['name', 'price', 'dailyEarn', 'durationHrs', 'img'];
+
+function planToFridge(plan) {
+    const v = plan.versions.find(x => x.version === plan.version) || {};
+    const fridge = {
+        id: plan.planId, name: v.name, price: v.price, dailyEarn: v.dailyEarn,
+        img: v.img, locked: plan.locked, version: plan.version
+    };
+    if (plan.planId.startsWith('offer')) {
+        fridge.durationHrs = v.durationHrs || 0;
+        fridge.startTime = plan.startTime;
     }
+    return fridge;
 }
 
-async function saveFridgeState(fridge) {
+// ================= PLAN PERSISTENCE =================
+// Seeds the catalog on first boot (carrying over any offer state saved in FridgeState)
+// and refreshes the FRIDGES cache. Throws on failure, leaving the cache as it was: at boot
+// that stops the server rather than serving an empty catalog.
+async function loadPlans() {
     try {
-        await FridgeState.findOneAndUpdate(
-            { id: fridge.id },
-            {
-                locked:      fridge.locked,
-                price:       fridge.price,
-                dailyEarn:   fridge.dailyEarn,
-                durationHrs: fridge.durationHrs,
-                startTime:   fridge.startTime
-            },
-            { upsert: true, new: true }
-        );
+        if (await Plan.countDocuments() === 0) {
+            const states = await FridgeState.find().lean();
+            const seed = DEFAULT_FRIDGES.map((f, i) => {
+                const state = states.find(st => st.id === f.id) || {};
+                return {
+                    planId: f.id,
+                    version: 1,
+                    sortOrder: i,
+                    locked: state.locked ?? f.locked,
+                    startTime: state.startTime || null,
+                    versions: [{
+                        version: 1, name: f.name, img: f.img, createdBy: 'system',
+                        price: state.price ?? f.price,
+                        dailyEarn: state.dailyEarn ?? f.dailyEarn,
+                        durationHrs: state.durationHrs ?? f.durationHrs ?? 0
+                    }]
+                };
+            });
+            // ordered:false so a second instance seeding at the same time just hits duplicates
+            await Plan.insertMany(seed, { ordered: false }).catch(err => {
+                if (err.code !== 11000 && !(err.writeErrors || []).every(e => e.code === 11000)) throw err;
+            });
+            console.log(`✅ Seeded ${seed.length} plans`);
+        }
+        const plans = await Plan.find({ retired: false }).sort({ sortOrder: 1, createdAt: 1 }).lean();
+        FRIDGES = plans.map(planToFridge);
+        console.log(`✅ Loaded ${plans.length} plans from MongoDB`);
     } catch(err) {
-        console.error('saveFridgeState error:', err);
+        console.error('loadPlans error:', err);
+        throw new Error('Could not load the plan catalog: ' + err.message);
+    }
+}
+
+// Call after every plan change. The change is already saved, so a failed reload is logged and
+// the previous catalog served until the next reload rather than the change reported as failed.
+async function refreshPlans() {
+    await loadPlans().catch(err => console.error('⚠️ Still serving the previous plan catalog:', err.message));
+}
+
+// Adds a version with the given term changes. Returns the plan unchanged if nothing differs.
+// The version filter makes two concurrent edits safe: the second one gets a 409.
+async function addPlanVersion(planId, changes, by, state = {}) {
+    const plan = await Plan.findOne({ planId });
+    if (!plan) throw approvalError('Plan not found', 404);
+    const current = plan.versions.find(v => v.version === plan.version);
+    const next = { version: plan.version + 1, createdBy: by, createdAt: new Date() };
+    let changed = false;
+    for (const key of PLAN_TERMS) {
+        next[key] = changes[key] !== undefined ? changes[key] : current[key];
+        if (next[key] !== current[key]) changed = true;
+    }
+
+    const update = { $set: { ...state } };
+    if (changed) {
+        update.$push = { versions: next };
+        update.$set.version = next.version;
     }
+    if (!changed && !Object.keys(state).length) return plan;
+    const updated = await Plan.findOneAndUpdate({ planId, version: plan.version }, update, { new: true });
+    if (!updated) throw approvalError('Plan was changed at the same time, reload and try again', 409);
+    await refreshPlans();
+    return updated;
+}
+
+// Locked/startTime are availability, not terms, so they change without a new version
+async function savePlanState(planId, state) {
+    await Plan.updateOne({ planId }, { $set: state });
+    await refreshPlans();
+}
+
+// Terms a payment was made under; falls back to the current version for old payments
+async function planVersionTerms(planId, version, session = null) {
+    const plan = await Plan.findOne({ planId }).session(session).lean();
+    if (!plan) return null;
+    return plan.versions.find(v => v.version === (version || plan.version)) || null;
 }
 
 // ================= REFERRAL RULES =================
@@ -246,28 +673,315 @@ function getReferralReward(depositAmount) {
     return 0;
 }
 
+// ================= LEDGER =================
+// Reason code -> platform account on the other side of the user posting
+const LEDGER_REASONS = {
+    OPENING_BALANCE:  'platform:opening',
+    DAILY_EARNING:    'platform:earnings',
+    OFFER_EARNING:    'platform:offers',
+    OFFER_CODE:       'platform:offer_codes',
+    REFERRAL_REWARD:  'platform:referrals',
+    REFERRAL_CLAWBACK: 'platform:referrals',
+    WITHDRAWAL:       'platform:withdrawals',
+    WITHDRAWAL_HOLD:  'platform:withdrawal_holds',
+    WITHDRAWAL_RELEASE: 'platform:withdrawal_holds',
+    TRADE_DEPOSIT:    'platform:trading',
+    TRADE_WITHDRAW:   'platform:trading',
+    EARNING_REVERSAL: 'platform:earnings',
+    ADMIN_ADJUSTMENT: 'platform:adjustments'
+};
+
+function userAccount(email) {
+    return 'user:' + email;
+}
+
+// Writes the two entries of one posting. amount > 0 credits the account, amount < 0 debits it.
+// account defaults to the user's own; pass a platform account to move money between platform accounts.
+async function writeLedgerPair(entry, session = null) {
+    const pair = ledgerPairDocs(entry);
+    if (!pair) return null;
+    await LedgerEntry.insertMany(pair.docs, { session });
+    return pair.txnId;
+}
+
+// Builds the two entries without writing them, so batch jobs can insert many postings at once
+function ledgerPairDocs({ userEmail, amount, reason, sourceType = null, sourceId = null, memo = '', account }) {
+    const contra = LEDGER_REASONS[reason];
+    if (!contra) throw new Error('Unknown ledger reason: ' + reason);
+    if (!amount) return null;
+
+    const txnId = new mongoose.Types.ObjectId().toString();
+    const value = Math.abs(amount);
+    const base = { txnId, userEmail, amount: value, reason, sourceType, sourceId: sourceId ? String(sourceId) : null, memo };
+    const userSide = amount > 0 ? 'credit' : 'debit';
+    const contraSide = amount > 0 ? 'debit' : 'credit';
+
+    return {
+        txnId,
+        docs: [
+            { ...base, account: contra, side: contraSide },
+            { ...base, account: account || userAccount(userEmail), side: userSide }
+        ]
+    };
+}
+
+function insufficientFunds() {
+    const err = new Error('Insufficient earnings');
+    err.code = 'INSUFFICIENT_FUNDS';
+    return err;
+}
+
+// Posts a balance change to the ledger and applies it to the cached user.earning, atomically.
+// requireFunds refuses a debit that would take earning below zero; inc adds extra User counters.
+async function postLedger(entry, { session = null, requireFunds = false, inc = {} } = {}) {
+    if (!session) {
+        return mongoose.connection.transaction(s => postLedger(entry, { session: s, requireFunds, inc }));
+    }
+    if (!entry.amount) return null;
+
+    const filter = { email: entry.userEmail };
+    if (requireFunds && entry.amount < 0) filter.earning = { $gte: -entry.amount };
+    const result = await User.updateOne(filter, { $inc: { earning: entry.amount, ...inc } }, { session });
+    if (result.matchedCount === 0) throw insufficientFunds();
+
+    return writeLedgerPair(entry, session);
+}
+
+// Sum of credits minus debits on the user's account
+async function ledgerBalance(email) {
+    const rows = await LedgerEntry.aggregate([
+        { $match: { account: userAccount(email) } },
+        { $group: { _id: '$side', total: { $sum: '$amount' } } }
+    ]);
+    const credit = rows.find(r => r._id === 'credit')?.total || 0;
+    const debit  = rows.find(r => r._id === 'debit')?.total || 0;
+    return credit - debit;
+}
+
+// ================= WITHDRAWAL LIFECYCLE =================
+// Moves a withdrawal from one state to the next. The status filter makes the move atomic,
+// so only one of two concurrent admin clicks wins; the loser gets null back.
+async function transitionWithdrawal(id, from, to, by, { note = '', fields = {}, session = null } = {}) {
+    if (!WITHDRAWAL_TRANSITIONS[from].includes(to)) throw new Error(`Cannot move withdrawal from ${from} to ${to}`);
+    const now = new Date();
+    const stamp = {
+        approved:  { approved: true, approvedAt: now, approvedBy: by },
+        paid:      { paidAt: now, paidBy: by },
+        rejected:  { rejectedAt: now, rejectedBy: by, rejectionReason: note },
+        cancelled: { cancelledAt: now }
+    }[to];
+    return Withdrawal.findOneAndUpdate(
+        { _id: id, status: from },
+        { $set: { status: to, ...stamp, ...fields }, $push: { history: { status: to, at: now, by, note } } },
+        { new: true, session }
+    );
+}
+
+// Returns a held amount to the user when a request is rejected or cancelled
+async function releaseWithdrawalHold(wd, session) {
+    if (!wd.held) return;
+    await postLedger({
+        userEmail: wd.userEmail, amount: wd.amount, reason: 'WITHDRAWAL_RELEASE',
+        sourceType: 'withdrawal', sourceId: wd._id
+    }, { session, inc: { earningOnHold: -wd.amount } });
+}
+
+// Withdrawals saved before statuses existed only have the approved flag
+async function migrateWithdrawalStatus() {
+    try {
+        const a = await Withdrawal.updateMany({ status: { $exists: false }, approved: true },  { $set: { status: 'approved' } });
+        const r = await Withdrawal.updateMany({ status: { $exists: false }, approved: { $ne: true } }, { $set: { status: 'requested' } });
+        if (a.modifiedCount || r.modifiedCount) console.log(`✅ Withdrawal statuses set: ${a.modifiedCount} approved, ${r.modifiedCount} requested`);
+    } catch(err) { console.error('migrateWithdrawalStatus error:', err); }
+}
+
+// Accounts from before phone verification would all be blocked from withdrawing. A number that
+// an approved withdrawal already went to has been proven by M-Pesa, so it counts as verified.
+async function migratePhoneVerification() {
+    try {
+        const users = await User.find({ phoneVerified: { $ne: true }, phone: { $nin: [null, ''] } }, 'email phone').lean();
+        let marked = 0;
+        for (const u of users) {
+            const paid = await Withdrawal.exists({ userEmail: u.email, phone: { $in: phoneVariants(u.phone) }, status: 'approved' });
+            if (!paid) continue;
+            await User.updateOne({ _id: u._id, phone: u.phone }, { $set: { phoneVerified: true, phoneVerifiedAt: new Date(), phoneVerifiedBy: 'migration' } });
+            marked++;
+        }
+        if (marked) console.log(`✅ ${marked} phone numbers marked verified from earlier payouts`);
+    } catch(err) { console.error('migratePhoneVerification error:', err); }
+}
+
+// Moves the old embedded user.fridges arrays into holdings. Each holding keeps the embedded
+// fridge's _id so existing EarningDay records still line up, and is linked to the approved
+// payment for the same fridge where one can be found (oldest payment to oldest fridge).
+async function migrateHoldings() {
+    try {
+        const users = await User.collection.find({ 'fridges.0': { $exists: true } }, { projection: { email: 1, fridges: 1 } }).toArray();
+        // A fridge with no lastEarnedAt would otherwise be caught up from boughtAt (or the
+        // 2026-01-01 repair default), paying every day again. Its earning restarts from the move,
+        // unless it was bought within the last day and so has nothing to catch up anyway.
+        const migratedAt = new Date();
+        const lastEarnedAt = f => f.lastEarnedAt
+            || (f.boughtAt && migratedAt - new Date(f.boughtAt) < 24 * 60 * 60 * 1000 ? null : migratedAt);
+        let moved = 0;
+        for (const u of users) {
+            await mongoose.connection.transaction(async session => {
+                const payments = await Payment.find({ userEmail: u.email, approved: true }, 'fridgeId').sort({ createdAt: 1 }).session(session).lean();
+                const linked = new Set((await Holding.find({ paymentId: { $in: payments.map(p => p._id) } }, 'paymentId').session(session).lean())
+                    .map(h => String(h.paymentId)));
+                const fridges = [...u.fridges].sort((a, b) => new Date(a.boughtAt || 0) - new Date(b.boughtAt || 0));
+                const docs = fridges.map(f => {
+                    const pmt = payments.find(p => p.fridgeId === f.id && !linked.has(String(p._id)));
+                    if (pmt) linked.add(String(pmt._id));
+                    const paidOut = f.id && f.id.startsWith('offer') && f.earningAdded;
+                    return {
+                        _id: f._id || new mongoose.Types.ObjectId(),
+                        userEmail: u.email, paymentId: pmt ? pmt._id : null, fridgeId: f.id,
+                        name: f.name, price: f.price, dailyEarn: f.dailyEarn, planVersion: f.planVersion,
+                        boughtAt: f.boughtAt, endTime: f.endTime, earningAdded: f.earningAdded, lastEarnedAt: lastEarnedAt(f),
+                        status: paidOut ? 'expired' : 'active', statusAt: new Date(),
+                        history: [{ action: 'migrated', by: 'system', note: pmt ? '' : 'No matching payment' }]
+                    };
+                });
+                const existing = new Set((await Holding.find({ _id: { $in: docs.map(d => d._id) } }, '_id').session(session).lean()).map(h => String(h._id)));
+                const fresh = docs.filter(d => !existing.has(String(d._id)));
+                if (fresh.length) await Holding.insertMany(fresh, { session });
+                await User.collection.updateOne({ _id: u._id }, { $unset: { fridges: '' } }, { session });
+                moved += fresh.length;
+            });
+        }
+        if (moved) console.log(`✅ Moved ${moved} fridges from ${users.length} users into holdings`);
+    } catch(err) { console.error('migrateHoldings error:', err); }
+}
+
+// ── Runs used to carry their items in an array; move them into earningsrunitems ──
+async function migrateEarningsRunItems() {
+    try {
+        const runs = EarningsRun.collection.find({ items: { $exists: true } }, { projection: { items: 1 } });
+        let moved = 0;
+        for await (const run of runs) {
+            await mongoose.connection.transaction(async session => {
+                const items = (run.items || []).map(({ _id, ...item }) => ({ _id, ...item, runId: run._id }));
+                const existing = new Set((await EarningsRunItem.find({ _id: { $in: items.map(i => i._id) } }, '_id').session(session).lean()).map(i => String(i._id)));
+                const fresh = items.filter(i => !existing.has(String(i._id)));
+                if (fresh.length) await EarningsRunItem.insertMany(fresh, { session });
+                await EarningsRun.collection.updateOne({ _id: run._id }, { $set: { fridgeDays: items.length }, $unset: { items: '' } }, { session });
+                moved += fresh.length;
+            });
+        }
+        if (moved) console.log(`✅ Moved ${moved} earnings run items into their own collection`);
+    } catch(err) { console.error('migrateEarningsRunItems error:', err); }
+}
+
+// Shape the dashboards already read from user.fridges
+function holdingToFridge(h) {
+    return {
+        _id: h._id, id: h.fridgeId, name: h.name, price: h.price, dailyEarn: h.dailyEarn,
+        boughtAt: h.boughtAt, endTime: h.endTime, earningAdded: h.earningAdded, lastEarnedAt: h.lastEarnedAt,
+        planVersion: h.planVersion, paymentId: h.paymentId, status: h.status
+    };
+}
+
+// Ends one holding. The status filter means two concurrent clicks change it once.
+async function revokeHolding(filter, by, note, session = null) {
+    const now = new Date();
+    return Holding.findOneAndUpdate(
+        { ...filter, status: { $ne: 'revoked' } },
+        { $set: { status: 'revoked', statusAt: now }, $push: { history: { at: now, action: 'revoked', by, note } } },
+        { new: true, session }
+    );
+}
+
 // ================= IP BAN SYSTEM =================
-// FIXED: was checking res.statusCode before response was sent (always 200 at that point)
-const bannedIPs = new Set();
+// Bans live in MongoDB and are cached here. Automatic bans step up: an hour, then a day, then
+// permanent, counting offences in the last 30 days, so a shared carrier NAT address that trips
+// a rule once is back within the hour.
+const IP_BAN_ESCALATION = [60 * 60 * 1000, 24 * 60 * 60 * 1000, null];
+const IP_OFFENCE_WINDOW_MS = 30 * 24 * 60 * 60 * 1000;
+const SUSPICIOUS_404_LIMIT = 20;
+const SUSPICIOUS_WINDOW_MS = 10 * 60 * 1000;
+
+// exact: cidr -> banned-until (ms, Infinity for permanent); ranges: [{ range, until }]
+let banCache = { exact: new Map(), ranges: [] };
 const suspiciousIPs = {};
 
+function activeBanFilter(now = new Date()) {
+    return { liftedAt: null, $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] };
+}
+
+// Rebuilt at boot, after every change and by cron each minute (drops expired bans and picks up
+// ones made by another instance)
+async function loadIpBans() {
+    const bans = await IpBan.find(activeBanFilter(), 'cidr expiresAt').lean();
+    const next = { exact: new Map(), ranges: [] };
+    for (const ban of bans) {
+        const range = parseCidr(ban.cidr);
+        if (!range) continue;
+        const until = ban.expiresAt ? ban.expiresAt.getTime() : Infinity;
+        if (range.single) next.exact.set(range.cidr, Math.max(until, next.exact.get(range.cidr) || 0));
+        else next.ranges.push({ range, until });
+    }
+    banCache = next;
+
+    const cutoff = Date.now() - SUSPICIOUS_WINDOW_MS;
+    for (const ip of Object.keys(suspiciousIPs)) if (suspiciousIPs[ip].firstSeen < cutoff) delete suspiciousIPs[ip];
+    return bans.length;
+}
+
+function isIpBanned(ip) {
+    const addr = parseCidr(ip);
+    if (!addr) return false;
+    const now = Date.now();
+    if ((banCache.exact.get(addr.cidr) || 0) > now) return true;
+    return banCache.ranges.some(r => r.until > now && cidrContains(r.range, ip));
+}
+
+function describeBanLength(ms) {
+    if (!ms) return 'permanently';
+    return ms >= 86400000 ? `for ${ms / 86400000} day(s)` : `for ${ms / 3600000} hour(s)`;
+}
+
+// Used by the abuse detectors; the tier comes from this address's recent offences
+async function autoBanIp(ip, source, detail) {
+    const addr = parseCidr(ip);
+    if (!addr || isIpBanned(ip)) return;
+    // Block at once so the rest of the burst is refused while the ban is saved
+    banCache.exact.set(addr.cidr, Date.now() + IP_BAN_ESCALATION[0]);
+
+    // Bans an admin lifted were mistakes and do not count
+    const offences = await IpBan.countDocuments({
+        cidr: addr.cidr, source: { $ne: 'manual' }, liftedAt: null,
+        createdAt: { $gt: new Date(Date.now() - IP_OFFENCE_WINDOW_MS) }
+    });
+    const tier = Math.min(offences, IP_BAN_ESCALATION.length - 1);
+    const ttl = IP_BAN_ESCALATION[tier];
+    await IpBan.create({ cidr: addr.cidr, source, tier, reason: detail, expiresAt: ttl ? new Date(Date.now() + ttl) : null });
+    await SecurityLog.create({ type: 'IP_BANNED', ip: addr.cidr, path: source, detail: `${detail}; banned ${describeBanLength(ttl)}` });
+    console.log(`Auto-banned IP ${addr.cidr} ${describeBanLength(ttl)} (${source})`);
+    await loadIpBans();
+}
+
+function banInBackground(ip, source, detail) {
+    autoBanIp(ip, source, detail).catch(err => console.error(`IP ban for ${ip} not saved:`, err.message));
+}
+
 app.use((req, res, next) => {
     const ip = req.ip || req.connection.remoteAddress;
 
-    if (bannedIPs.has(ip)) {
+    if (isIpBanned(ip)) {
         return res.status(403).send('Forbidden');
     }
 
-    // Track 404s AFTER the response is actually sent
+    // Track 404s AFTER the response is actually sent; the count restarts every SUSPICIOUS_WINDOW_MS
     res.on('finish', () => {
-        if (res.statusCode === 404) {
-            if (!suspiciousIPs[ip]) suspiciousIPs[ip] = { count: 0, firstSeen: Date.now() };
-            suspiciousIPs[ip].count++;
-            if (suspiciousIPs[ip].count > 20) {
-                bannedIPs.add(ip);
-                console.log(`Auto-banned IP ${ip} after suspicious activity`);
-                SecurityLog.create({ type:'IP_BANNED', ip, path:'multiple', detail:`Auto-banned after ${suspiciousIPs[ip].count} suspicious requests` }).catch(()=>{});
-            }
+        if (res.statusCode !== 404) return;
+        const now = Date.now();
+        if (!suspiciousIPs[ip] || now - suspiciousIPs[ip].firstSeen > SUSPICIOUS_WINDOW_MS) suspiciousIPs[ip] = { count: 0, firstSeen: now };
+        suspiciousIPs[ip].count++;
+        if (suspiciousIPs[ip].count > SUSPICIOUS_404_LIMIT) {
+            const count = suspiciousIPs[ip].count;
+            delete suspiciousIPs[ip];
+            banInBackground(ip, 'auto-404', `${count} not-found requests within ${SUSPICIOUS_WINDOW_MS / 60000} minutes`);
         }
     });
 
@@ -319,6 +1033,11 @@ function clearAdminLockout(ip) {
 app.set('trust proxy', 1);
 app.use(cors());
 app.use(bodyParser.json());
+// Malformed JSON gets the same 400 shape as a body that fails its route's schema
+app.use((err, req, res, next) => {
+    if (err.type !== 'entity.parse.failed') return next(err);
+    res.status(400).json({ error: 'body must be valid JSON', errors: [{ field: 'body', message: 'must be valid JSON' }] });
+});
 
 // ── SECURITY HEADERS ──
 app.use((req, res, next) => {
@@ -353,19 +1072,20 @@ const BLOCKED_PATHS = [
 app.use((req, res, next) => {
     const p = req.path.toLowerCase();
     if (BLOCKED_PATHS.some(b => p.includes(b))) {
-        bannedIPs.add(req.ip);
+        banInBackground(req.ip, 'blocked-path', `Known exploit path ${req.path}`);
         SecurityLog.create({ type:'BLOCKED_PATH', ip:req.ip, path:req.path, detail:'Known exploit path' }).catch(()=>{});
         return res.status(404).send('Not Found');
     }
+    // Injection-looking URLs are only logged for the security page. What keeps them out is each
+    // route's validate() schema; a substring match here also catches harmless searches
+    // ("drop off", "select plan") and misses anything encoded.
     const query = req.url.toLowerCase();
     if (query.includes('select ') || query.includes('union ') ||
         query.includes('drop ') || query.includes('<script') ||
         query.includes('etc/passwd') || query.includes('cmd=') ||
         query.includes('../') || query.includes('eval(') ||
         query.includes('base64_decode') || query.includes('exec(')) {
-        bannedIPs.add(req.ip);
-        SecurityLog.create({ type:'SQL_XSS', ip:req.ip, path:req.url, detail:'SQL/XSS pattern' }).catch(()=>{});
-        return res.status(403).send('Forbidden');
+        SecurityLog.create({ type:'SQL_XSS', ip:req.ip, path:req.url, detail:'SQL/XSS pattern (logged only)' }).catch(()=>{});
     }
     next();
 });
@@ -393,6 +1113,12 @@ const adminLoginLimiter = rateLimit({
     message: { error: 'Too many admin login attempts. Try again later.' }
 });
 
+const otpLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 5,
+    message: { error: 'Too many code requests. Try again in 15 minutes.' }
+});
+
 const paymentLimiter = rateLimit({
     windowMs: 60 * 1000,
     max: 3,
@@ -407,15 +1133,258 @@ app.get('/admin', (req, res) => res.status(404).send('Not Found'));
 app.get('/admin.html', (req, res) => res.status(404).send('Not Found'));
 
 // ================= AUTH =================
-function auth(req, res, next) {
+// Access tokens are short JWTs tied to a Session; the refresh token gets a new pair and is
+// replaced each time it is used
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS || 30);
+// Two tabs refreshing at once both present the same token; the loser is not treated as theft
+const REFRESH_REUSE_GRACE_MS = 30 * 1000;
+
+async function auth(req, res, next) {
     const a = req.headers.authorization;
     if (!a || !a.startsWith('Bearer ')) return res.status(401).json({ error: 'Unauthorized' });
+    let claim;
     try {
-        req.user = jwt.verify(a.slice(7), SECRET);
-        next();
+        claim = jwt.verify(a.slice(7), SECRET);
     } catch {
         return res.status(401).json({ error: 'Invalid token' });
     }
+    // A 2FA challenge token only proves the password, it is not a session; tokens from before
+    // sessions existed have no sid and cannot be revoked, so they are refused too
+    if (claim.purpose || !claim.sid || !mongoose.Types.ObjectId.isValid(claim.sid)) return res.status(401).json({ error: 'Invalid token' });
+    try {
+        const [session, user] = await Promise.all([
+            Session.findOne({ _id: claim.sid, userEmail: claim.email, revokedAt: null }, 'expiresAt').lean(),
+            User.findOne({ email: claim.email }, 'banned').lean()
+        ]);
+        if (!session || session.expiresAt < new Date() || !user) return res.status(401).json({ error: 'Session ended. Sign in again.' });
+        if (user.banned && claim.email !== ADMIN_EMAIL) return res.status(403).json({ error: 'Your account has been suspended. Contact support.' });
+        req.user = claim;
+        next();
+    } catch (err) { res.status(500).json({ error: err.message }); }
+}
+
+function hashToken(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+// Refresh token format: "<sessionId>.<secret>"; only the secret's hash is stored
+async function issueSession(user, req) {
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const session = await Session.create({
+        userEmail: user.email,
+        tokenHash: hashToken(secret),
+        ip: req.ip,
+        userAgent: String(req.headers['user-agent'] || '').slice(0, 200),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 86400000)
+    });
+    return {
+        token: jwt.sign({ email: user.email, sid: String(session._id) }, SECRET, { expiresIn: ACCESS_TOKEN_TTL }),
+        refreshToken: `${session._id}.${secret}`,
+        email: user.email
+    };
+}
+
+// Swaps a refresh token for a new access + refresh pair. A token that was already swapped
+// means someone else holds a copy, so the whole session is ended.
+async function rotateSession(refreshToken) {
+    const [sid, secret] = String(refreshToken || '').split('.');
+    if (!secret || !mongoose.Types.ObjectId.isValid(sid)) return { error: 'Invalid refresh token' };
+    const hash = hashToken(secret);
+    const now = new Date();
+    const next = crypto.randomBytes(32).toString('base64url');
+
+    const session = await Session.findOneAndUpdate(
+        { _id: sid, tokenHash: hash, revokedAt: null, expiresAt: { $gt: now } },
+        { $set: { tokenHash: hashToken(next), rotatedAt: now, lastUsedAt: now }, $push: { previousHashes: { $each: [hash], $slice: -20 } } },
+        { new: true }
+    );
+    if (!session) {
+        const replayed = await Session.findOne({ _id: sid, previousHashes: hash, revokedAt: null });
+        if (replayed) {
+            const last = replayed.previousHashes[replayed.previousHashes.length - 1];
+            if (last === hash && replayed.rotatedAt && now - replayed.rotatedAt < REFRESH_REUSE_GRACE_MS) {
+                return { error: 'Refresh token already used', retry: true };
+            }
+            await revokeSessions({ _id: replayed._id }, 'reuse');
+            await logAction(replayed.userEmail, 'SESSION_TOKEN_REUSED', `Session ${replayed._id} ended: an old refresh token was presented`, '');
+        }
+        return { error: 'Session ended. Sign in again.' };
+    }
+
+    const user = await User.findOne({ email: session.userEmail }, 'email banned').lean();
+    if (!user || (user.banned && user.email !== ADMIN_EMAIL)) {
+        await revokeSessions({ _id: session._id }, 'banned');
+        return { error: 'Your account has been suspended. Contact support.' };
+    }
+    return {
+        token: jwt.sign({ email: user.email, sid: String(session._id) }, SECRET, { expiresIn: ACCESS_TOKEN_TTL }),
+        refreshToken: `${session._id}.${next}`,
+        email: user.email
+    };
+}
+
+// filter: e.g. { userEmail } for every device, { _id } for one. Returns how many were ended.
+async function revokeSessions(filter, reason) {
+    const r = await Session.updateMany({ ...filter, revokedAt: null }, { $set: { revokedAt: new Date(), revokedReason: reason } });
+    return r.modifiedCount;
+}
+
+// ================= ONE-TIME CODES =================
+const OTP_TTL_MINUTES = Number(process.env.OTP_TTL_MINUTES || 15);
+const OTP_MAX_ATTEMPTS = 5;
+const OTP_RESEND_SECONDS = 60;
+const PASSWORD_MIN_LENGTH = 8;
+
+// Keyed with BF_SECRET: a plain hash of a 6-digit code could be reversed by trying all million
+function hashOtp(userEmail, purpose, code) {
+    return crypto.createHmac('sha256', 'otp:' + SECRET).update(`${purpose}|${userEmail}|${String(code).trim()}`).digest('hex');
+}
+
+// Returns a new code and replaces any earlier one for the same purpose, or null if one
+// was sent less than OTP_RESEND_SECONDS ago
+async function issueOtp(userEmail, purpose, channel, destination) {
+    const recent = await OneTimeCode.exists({
+        userEmail, purpose, usedAt: null,
+        createdAt: { $gt: new Date(Date.now() - OTP_RESEND_SECONDS * 1000) }
+    });
+    if (recent) return null;
+    await OneTimeCode.deleteMany({ userEmail, purpose, usedAt: null });
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    await OneTimeCode.create({
+        userEmail, purpose, channel, destination,
+        codeHash: hashOtp(userEmail, purpose, code),
+        expiresAt: new Date(Date.now() + OTP_TTL_MINUTES * 60000)
+    });
+    return code;
+}
+
+// Marks the code used and returns its record, or null. Each wrong guess counts, and after
+// OTP_MAX_ATTEMPTS the code is dead even if the right one comes next.
+async function consumeOtp(userEmail, purpose, code) {
+    const live = { userEmail, purpose, usedAt: null, expiresAt: { $gt: new Date() }, attempts: { $lt: OTP_MAX_ATTEMPTS } };
+    const used = await OneTimeCode.findOneAndUpdate(
+        { ...live, codeHash: hashOtp(userEmail, purpose, code) },
+        { $set: { usedAt: new Date() } },
+        { new: true }
+    );
+    if (!used) await OneTimeCode.updateOne(live, { $inc: { attempts: 1 } });
+    return used;
+}
+
+// Users type their number any way; stored phones are whatever they registered with
+function phoneVariants(phone) {
+    const intl = formatPhone(phone);
+    return [intl, '+' + intl, '0' + intl.slice(3)];
+}
+
+// ================= TWO-FACTOR AUTHENTICATION =================
+// Staff must enrol before admin routes work; set ADMIN_2FA_REQUIRED=false to relax this while rolling out
+const ADMIN_2FA_REQUIRED = process.env.ADMIN_2FA_REQUIRED !== 'false';
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Bitfreeze';
+const RECOVERY_CODE_COUNT = 10;
+const TWO_FACTOR_SECRETS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes';
+
+// TOTP secrets are stored encrypted (AES-256-GCM, key derived from BF_SECRET) so a database
+// dump alone cannot mint codes
+function twoFactorKey() {
+    return crypto.createHash('sha256').update('2fa:' + SECRET).digest();
+}
+
+function sealSecret(plain) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', twoFactorKey(), iv);
+    const data = Buffer.concat([cipher.update(plain, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), data].map(b => b.toString('base64')).join('.');
+}
+
+function openSecret(sealed) {
+    const [iv, tag, data] = String(sealed).split('.').map(x => Buffer.from(x, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', twoFactorKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+}
+
+function hashRecoveryCode(code) {
+    return crypto.createHash('sha256').update(String(code).toUpperCase().replace(/[\s-]/g, '')).digest('hex');
+}
+
+// Returns the plain codes (shown once) and their hashes (stored)
+function newRecoveryCodes() {
+    const plain = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString('hex').toUpperCase();
+        return raw.slice(0, 5) + '-' + raw.slice(5);
+    });
+    return { plain, hashed: plain.map(hashRecoveryCode) };
+}
+
+// Accepts a TOTP code or a recovery code and consumes it. Returns 'totp', 'recovery' or null.
+async function consumeSecondFactor(user, { code, recoveryCode }) {
+    const tf = user.twoFactor || {};
+    if (!tf.enabled) return null;
+    if (code) {
+        const step = totp.verifyTotp(openSecret(tf.secret), code, { lastStep: tf.lastStep });
+        if (step === null) return null;
+        // lastStep filter again in the write: the same code cannot log in twice, even from two requests at once
+        const ok = await User.updateOne(
+            { _id: user._id, $or: [{ 'twoFactor.lastStep': { $lt: step } }, { 'twoFactor.lastStep': null }] },
+            { $set: { 'twoFactor.lastStep': step } }
+        );
+        return ok.modifiedCount ? 'totp' : null;
+    }
+    if (recoveryCode) {
+        const ok = await User.updateOne(
+            { _id: user._id, 'twoFactor.recoveryCodes': hashRecoveryCode(recoveryCode) },
+            { $pull: { 'twoFactor.recoveryCodes': hashRecoveryCode(recoveryCode) } }
+        );
+        return ok.modifiedCount ? 'recovery' : null;
+    }
+    return null;
+}
+
+// ================= ADMIN ROLES =================
+// ADMIN_EMAIL is always super-admin so the platform can never be locked out; everyone else
+// gets a role through /api/admin/roles.
+const ADMIN_ROLES = {
+    super:    ['*'],
+    finance:  ['dashboard', 'payments', 'withdrawals', 'ledger:read', 'users:read'],
+    support:  ['dashboard', 'messages', 'users:read'],
+    security: ['dashboard', 'security', 'logs']
+};
+
+async function adminRoleOf(email) {
+    if (email === ADMIN_EMAIL) return 'super';
+    const user = await User.findOne({ email }, 'adminRole banned').lean();
+    if (!user || user.banned || !ADMIN_ROLES[user.adminRole]) return null;
+    return user.adminRole;
+}
+
+function rolePermissions(role) {
+    return ADMIN_ROLES[role] || [];
+}
+
+// 'ledger' implies 'ledger:read', 'users:write' implies 'users:read'
+function roleAllows(role, permission) {
+    const perms = rolePermissions(role);
+    if (perms.includes('*') || perms.includes(permission)) return true;
+    const [area, level] = permission.split(':');
+    return level === 'read' && (perms.includes(area) || perms.includes(area + ':write'));
+}
+
+// Route guard: the role is read on every request so a change takes effect at once
+function can(permission) {
+    return async (req, res, next) => {
+        try {
+            const role = await adminRoleOf(req.user.email);
+            if (!role) return res.status(403).json({ error: 'Admin only' });
+            if (!roleAllows(role, permission)) return res.status(403).json({ error: `Your role (${role}) does not allow this` });
+            if (ADMIN_2FA_REQUIRED && !(await User.exists({ email: req.user.email, 'twoFactor.enabled': true }))) {
+                return res.status(403).json({ error: 'Set up two-factor authentication before using the admin panel', twoFactorSetupRequired: true });
+            }
+            req.adminRole = role;
+            next();
+        } catch (err) { res.status(500).json({ error: err.message }); }
+    };
 }
 
 // ================= M-PESA CONFIG =================
@@ -431,13 +1400,20 @@ const M_PESA_CONSUMER_SECRET = process.env.M_PESA_CONSUMER_SECRET;
 const M_PESA_PASSKEY         = process.env.M_PESA_PASSKEY;          // Daraja passkey (not PIN)
 const CALLBACK_URL           = process.env.CALLBACK_URL;            // e.g. https://yoursite.com/api/payment/mpesa/callback
 
-// Format phone to 254XXXXXXXXX
-function formatPhone(phone) {
-    const clean = String(phone).replace(/\s+/g, '').replace(/[^0-9+]/g, '');
-    if (clean.startsWith('+254')) return clean.slice(1);         // +254XXXXXXXXX → 254XXXXXXXXX
-    if (clean.startsWith('254'))  return clean;                  // already good
-    if (clean.startsWith('0'))    return '254' + clean.slice(1); // 07XXXXXXXX → 2547XXXXXXXX
-    return '254' + clean;
+// M_PESA_LIVE_URL can point at a local stand-in, e.g. `node test/daraja-stub.js 8089` and
+// M_PESA_LIVE_URL=http://localhost:8089 to try payouts without Safaricom
+const daraja = createDarajaClient({ baseUrl: M_PESA_LIVE_URL, consumerKey: M_PESA_CONSUMER_KEY, consumerSecret: M_PESA_CONSUMER_SECRET });
+
+// ── OAuth access token (shared by STK Push and B2C) ──
+function getDarajaToken() {
+    return daraja.token();
+}
+
+// Password = Base64(ShortCode + Passkey + Timestamp)
+function stkPassword() {
+    const timestamp = new Date().toISOString().replace(/[-T:.Z]/g, '').slice(0, 14);
+    const password = Buffer.from(`${M_PESA_SHORTCODE}${M_PESA_PASSKEY}${timestamp}`).toString('base64');
+    return { timestamp, password };
 }
 
 // ── STK Push (Till / Buy Goods) ──
@@ -445,17 +1421,10 @@ async function initiateStkPush(phone, amount) {
     const formattedPhone = formatPhone(phone);
 
     // Step 1: Get access token
-    const tokenAuth = Buffer.from(`${M_PESA_CONSUMER_KEY}:${M_PESA_CONSUMER_SECRET}`).toString('base64');
-    const tokenResponse = await axios.get(
-        `${M_PESA_LIVE_URL}/oauth/v1/generate?grant_type=client_credentials`,
-        { headers: { Authorization: `Basic ${tokenAuth}` } }
-    );
-    const accessToken = tokenResponse.data.access_token;
+    const accessToken = await getDarajaToken();
 
     // Step 2: Build timestamp and password
-    // Password = Base64(ShortCode + Passkey + Timestamp)
-    const timestamp = new Date().toISOString().replace(/[-T:.Z]/g, '').slice(0, 14);
-    const password = Buffer.from(`${M_PESA_SHORTCODE}${M_PESA_PASSKEY}${timestamp}`).toString('base64');
+    const { timestamp, password } = stkPassword();
 
     // Step 3: Build STK payload
     // CustomerBuyGoodsOnline = Till number (not Paybill)
@@ -487,6 +1456,79 @@ async function initiateStkPush(phone, amount) {
     return stkResponse.data; // contains CheckoutRequestID, MerchantRequestID
 }
 
+// ── STK Push Query (status of a prompt whose callback never arrived) ──
+// Resolves with Daraja's ResultCode/ResultDesc, or { pending: true } while the
+// prompt is still being processed on Safaricom's side.
+async function queryStkPush(checkoutRequestId) {
+    const accessToken = await getDarajaToken();
+    const { timestamp, password } = stkPassword();
+    try {
+        const queryResponse = await axios.post(
+            `${M_PESA_LIVE_URL}/mpesa/stkpushquery/v1/query`,
+            { BusinessShortCode: M_PESA_SHORTCODE, Password: password, Timestamp: timestamp, CheckoutRequestID: checkoutRequestId },
+            { headers: { Authorization: `Bearer ${accessToken}` } }
+        );
+        return { resultCode: Number(queryResponse.data.ResultCode), resultDesc: queryResponse.data.ResultDesc || '' };
+    } catch (err) {
+        // Daraja answers "The transaction is being processed" with an HTTP error
+        const code = err.response?.data?.errorCode;
+        if (code === '500.001.1001') return { pending: true, resultDesc: err.response.data.errorMessage };
+        throw err;
+    }
+}
+
+// ── C2B URL registration ──
+// Daraja refuses URLs containing words such as "mpesa", "safaricom", "sql" or "exec",
+// which is why the C2B routes live under /api/payment/c2b/
+const M_PESA_C2B_SHORTCODE  = process.env.M_PESA_C2B_SHORTCODE || M_PESA_SHORTCODE;
+const C2B_CONFIRMATION_URL  = process.env.C2B_CONFIRMATION_URL;   // e.g. https://yoursite.com/api/payment/c2b/confirmation
+const C2B_VALIDATION_URL    = process.env.C2B_VALIDATION_URL;     // e.g. https://yoursite.com/api/payment/c2b/validation
+
+async function registerC2BUrls() {
+    const accessToken = await getDarajaToken();
+    const registerResponse = await axios.post(
+        `${M_PESA_LIVE_URL}/mpesa/c2b/v1/registerurl`,
+        {
+            ShortCode: M_PESA_C2B_SHORTCODE,
+            ResponseType: 'Completed',   // complete the payment if our validation URL is unreachable
+            ConfirmationURL: C2B_CONFIRMATION_URL,
+            ValidationURL: C2B_VALIDATION_URL
+        },
+        { headers: { Authorization: `Bearer ${accessToken}` } }
+    );
+    return registerResponse.data;
+}
+
+// ================= M-PESA B2C CONFIG =================
+// B2C pays out from a Paybill/B2C shortcode, not the Till used for STK Push.
+const B2C_ENABLED                  = process.env.M_PESA_B2C_ENABLED === 'true';
+const M_PESA_B2C_SHORTCODE         = process.env.M_PESA_B2C_SHORTCODE;
+const M_PESA_B2C_INITIATOR         = process.env.M_PESA_B2C_INITIATOR;            // API operator username
+const M_PESA_B2C_SECURITY_CREDENTIAL = process.env.M_PESA_B2C_SECURITY_CREDENTIAL; // encrypted initiator password
+const B2C_RESULT_URL               = process.env.B2C_RESULT_URL;   // e.g. https://yoursite.com/api/payout/mpesa/result
+const B2C_TIMEOUT_URL              = process.env.B2C_TIMEOUT_URL;  // e.g. https://yoursite.com/api/payout/mpesa/timeout
+const B2C_MAX_ATTEMPTS             = Number(process.env.B2C_MAX_ATTEMPTS || 3);
+const B2C_RETRY_MINUTES            = [5, 30, 120]; // wait before attempt 2, 3, 4...
+
+// ── B2C payment request ──
+// originatorConversationId is ours, saved before sending, so a result for an attempt whose
+// response never reached us can still be tied to it. Only v3 of the API accepts one.
+function initiateB2CPayment(phone, amount, remarks, originatorConversationId) {
+    return daraja.b2cPayment({
+        OriginatorConversationID: originatorConversationId,
+        InitiatorName: M_PESA_B2C_INITIATOR,
+        SecurityCredential: M_PESA_B2C_SECURITY_CREDENTIAL,
+        CommandID: 'BusinessPayment',
+        Amount: Math.floor(amount),                 // must be integer, never round up a payout
+        PartyA: M_PESA_B2C_SHORTCODE,
+        PartyB: formatPhone(phone),
+        Remarks: remarks,
+        QueueTimeOutURL: B2C_TIMEOUT_URL,
+        ResultURL: B2C_RESULT_URL,
+        Occasion: 'Withdrawal'
+    });
+}
+
 // ================= ROUTES =================
 app.get('/login',    (req, res) => res.sendFile(path.join(__dirname, 'public', 'login.html')));
 app.get('/manifest.json', (req, res) => res.sendFile(path.join(__dirname, 'public', 'manifest.json')));
@@ -497,12 +1539,19 @@ app.get('/dashboard',(req, res) => res.sendFile(path.join(__dirname, 'public', '
 app.get('/manage-bf-2025', (req, res) => res.sendFile(path.join(__dirname, 'public', 'admin.html')));
 
 // ================= REGISTER / LOGIN =================
-app.post('/api/register', async (req, res) => {
+app.post('/api/register', validate({ body: {
+    name: field.string({ max: 100 }),
+    email: field.email(),
+    password: field.string({ trim: false, max: 200 }),
+    phone: field.string({ max: 20 }),
+    referrerEmail: field.string({ optional: true, max: 500 })
+} }), async (req, res) => {
     try {
         const { name, email, password, phone } = req.body;
         let { referrerEmail } = req.body;
 
         if (!name || !email || !password || !phone) return res.status(400).json({ error: 'Missing fields' });
+        if (password.length < PASSWORD_MIN_LENGTH) return res.status(400).json({ error: `Password must be at least ${PASSWORD_MIN_LENGTH} characters` });
         if (await User.findOne({ email })) return res.status(400).json({ error: 'Email exists' });
 
         const cleanPhone = phone.replace(/\s/g, '');
@@ -529,30 +1578,40 @@ app.post('/api/register', async (req, res) => {
             }
         }
 
-        const token = jwt.sign({ email: user.email }, SECRET, { expiresIn: '7d' });
-        res.json({ token, email: user.email });
+        // Codes go out in the background; the dashboard lets the user resend and enter them
+        for (const target of Object.keys(VERIFY_TARGETS)) {
+            if (!canDeliver(VERIFY_TARGETS[target].channel)) continue;
+            sendVerificationCode(user, target).catch(err => console.error(`Verification code for ${user.email} (${target}) not delivered:`, err.message));
+        }
+
+        res.json({ ...(await issueSession(user, req)), verification: { email: false, phone: false } });
     } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-app.post('/api/login', adminLoginLimiter, async (req, res) => {
+app.post('/api/login', adminLoginLimiter, validate({ body: {
+    email: field.email(),
+    password: field.string({ trim: false, max: 200 })
+} }), async (req, res) => {
     try {
         const { email, password } = req.body;
         const ip = req.ip || req.connection.remoteAddress;
 
-        if (email === ADMIN_EMAIL) {
+        const user = await User.findOne({ email });
+        // Every staff account gets the admin lockout, not just ADMIN_EMAIL
+        const isStaff = email === ADMIN_EMAIL || !!(user && ADMIN_ROLES[user.adminRole]);
+        if (isStaff) {
             const lockout = checkAdminLockout(ip);
             if (lockout.locked) {
                 return res.status(429).json({ error: `Admin account locked. Try again in ${lockout.mins} minute(s).` });
             }
         }
 
-        const user = await User.findOne({ email });
         if (!user) {
-            if (email === ADMIN_EMAIL) recordFailedAdminLogin(ip);
+            if (isStaff) recordFailedAdminLogin(ip);
             return res.status(400).json({ error: 'Invalid credentials' });
         }
         if (!(await bcrypt.compare(password, user.password))) {
-            if (email === ADMIN_EMAIL) recordFailedAdminLogin(ip);
+            if (isStaff) recordFailedAdminLogin(ip);
             return res.status(400).json({ error: 'Invalid credentials' });
         }
 
@@ -560,113 +1619,489 @@ app.post('/api/login', adminLoginLimiter, async (req, res) => {
             return res.status(403).json({ error: 'Your account has been suspended. Contact support.' });
         }
 
-        if (email === ADMIN_EMAIL) {
+        // Password is right; with 2FA on, hand out a 5-minute challenge instead of a session
+        if (user.twoFactor && user.twoFactor.enabled) {
+            const challengeToken = jwt.sign({ email: user.email, purpose: '2fa' }, SECRET, { expiresIn: '5m' });
+            return res.json({ twoFactorRequired: true, challengeToken });
+        }
+
+        if (isStaff) {
             clearAdminLockout(ip);
             await ActivityLog.create({ action: 'ADMIN_LOGIN', adminEmail: email, details: 'Successful login', ip });
         }
 
-        const token = jwt.sign({ email: user.email }, SECRET, { expiresIn: '7d' });
-        res.json({ token, email: user.email });
+        res.json(await issueSession(user, req));
     } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-// ================= GET PROFILE =================
-app.get('/api/me', auth, async (req, res) => {
+// ================= LOGIN STEP 2: TOTP OR RECOVERY CODE =================
+app.post('/api/login/2fa', adminLoginLimiter, validate({ body: {
+    challengeToken: field.string({ max: 2000 }),
+    code: field.string({ optional: true, max: 10 }),
+    recoveryCode: field.string({ optional: true, max: 50 })
+} }), async (req, res) => {
     try {
-        const user = await User.findOne({ email: req.user.email });
-        if (!user) return res.status(404).json({ error: 'Not found' });
-        res.json({ user, isAdmin: user.email === ADMIN_EMAIL });
-    } catch (err) { res.status(500).json({ error: err.message }); }
-});
+        const { challengeToken, code, recoveryCode } = req.body;
+        const ip = req.ip || req.connection.remoteAddress;
+        let claim;
+        try {
+            claim = jwt.verify(challengeToken || '', SECRET);
+        } catch {
+            return res.status(401).json({ error: 'Login expired. Sign in again.' });
+        }
+        if (claim.purpose !== '2fa') return res.status(401).json({ error: 'Invalid token' });
 
-// ================= ADMIN: MANUALLY TRIGGER DAILY EARNINGS =================
-app.post('/api/admin/run-earnings', auth, async (req, res) => {
-    try {
-        if (req.user.email !== ADMIN_EMAIL) return res.status(403).json({ error: 'Admin only' });
-        const today = new Date();
-        const todayKey = new Date(today.getTime() + 3 * 60 * 60 * 1000).toISOString().slice(0, 10);
-        // Guard: prevent running twice on same Kenya date
-        const alreadyRan = await Settings.findOne({ key: 'last_earnings_date' });
-        if (alreadyRan && alreadyRan.value === todayKey) {
-            return res.status(400).json({ error: 'Earnings already credited today (' + todayKey + '). Cannot run again.' });
+        const user = await User.findOne({ email: claim.email }).select(TWO_FACTOR_SECRETS);
+        if (!user) return res.status(401).json({ error: 'Invalid token' });
+        // The challenge outlives a ban made after the password step
+        if (user.banned && user.email !== ADMIN_EMAIL) {
+            return res.status(403).json({ error: 'Your account has been suspended. Contact support.' });
+        }
+        const isStaff = user.email === ADMIN_EMAIL || !!ADMIN_ROLES[user.adminRole];
+        if (isStaff) {
+            const lockout = checkAdminLockout(ip);
+            if (lockout.locked) return res.status(429).json({ error: `Admin account locked. Try again in ${lockout.mins} minute(s).` });
         }
-        await Settings.findOneAndUpdate({ key: 'last_earnings_date' }, { value: todayKey }, { upsert: true });
-        await runDailyEarnings();
-        res.json({ message: 'Daily earnings run successfully for ' + todayKey });
-    } catch(err) { res.status(500).json({ error: err.message }); }
-});
 
-// ================= ADMIN: FORCE CREDIT OFFER EARNINGS =================
-app.post('/api/admin/force-credit', auth, async (req, res) => {
-    try {
-        if (req.user.email !== ADMIN_EMAIL) return res.status(403).json({ error: 'Admin only' });
-        await checkAndCreditOfferEarnings();
-        res.json({ message: 'Offer earnings check completed.' });
+        const used = await consumeSecondFactor(user, { code, recoveryCode });
+        if (!used) {
+            if (isStaff) recordFailedAdminLogin(ip);
+            return res.status(400).json({ error: 'Invalid code' });
+        }
+
+        if (isStaff) {
+            clearAdminLockout(ip);
+            await ActivityLog.create({ action: 'ADMIN_LOGIN', adminEmail: user.email, details: used === 'recovery' ? 'Login with recovery code' : 'Successful login (2FA)', ip });
+        }
+        const remaining = used === 'recovery' ? user.twoFactor.recoveryCodes.length - 1 : undefined;
+        res.json({ ...(await issueSession(user, req)), recoveryCodesLeft: remaining });
     } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-// ================= ONE-TIME FIX: Repair missing boughtAt and dailyEarn =================
-app.post('/api/admin/fix-user-fridges', auth, async (req, res) => {
-    try {
-        if (req.user.email !== ADMIN_EMAIL) return res.status(403).json({ error: 'Admin only' });
-        const users = await User.find({ 'fridges.0': { $exists: true } });
-        let fixed = 0, skipped = 0;
+// ================= EMAIL / PHONE VERIFICATION =================
+const VERIFY_TARGETS = {
+    email: { purpose: 'verify-email', channel: 'email', field: 'emailVerified', destination: u => u.email },
+    phone: { purpose: 'verify-phone', channel: 'sms', field: 'phoneVerified', destination: u => formatPhone(u.phone) }
+};
 
-        for (const user of users) {
-            let changed = false;
-            for (let i = 0; i < user.fridges.length; i++) {
-                const f = user.fridges[i];
-                if (!f.boughtAt) {
-                    user.fridges[i].boughtAt = new Date('2026-01-01T00:00:00Z');
-                    changed = true;
-                }
-                if (!f.id.startsWith('offer') && (!f.dailyEarn || f.dailyEarn === 0)) {
-                    const pmt = await Payment.findOne({
-                        userEmail: user.email,
-                        fridgeId: f.id,
-                        approved: true
-                    }).sort({ createdAt: -1 });
-
-                    if (pmt && pmt.fridgeDailyEarn) {
-                        user.fridges[i].dailyEarn = pmt.fridgeDailyEarn;
-                        changed = true;
-                    } else {
-                        const gf = FRIDGES.find(fr => fr.id === f.id);
-                        if (gf && gf.dailyEarn) {
-                            user.fridges[i].dailyEarn = gf.dailyEarn;
-                            changed = true;
-                        }
-                    }
-                }
-            }
-            if (changed) {
-                user.markModified('fridges');
-                await user.save();
+function canDeliver(channel) {
+    return channel === 'sms' ? notifier.canSms : notifier.canEmail;
+}
+
+// false when a code for this target went out less than a minute ago
+async function sendVerificationCode(user, target) {
+    const t = VERIFY_TARGETS[target];
+    const destination = t.destination(user);
+    const code = await issueOtp(user.email, t.purpose, t.channel, destination);
+    if (!code) return false;
+    const text = `Your Bitfreeze verification code is ${code}. It expires in ${OTP_TTL_MINUTES} minutes.`;
+    if (t.channel === 'sms') await notifier.sms(destination, text);
+    else await notifier.email(destination, 'Confirm your Bitfreeze email', text);
+    return true;
+}
+
+// PHONE_VERIFICATION: "auto" (default) requires a verified number for withdrawals only while SMS
+// can deliver the code; "on" always requires it (admins can mark numbers verified by hand); "off" never
+const PHONE_VERIFICATION = process.env.PHONE_VERIFICATION || 'auto';
+if (!['auto', 'on', 'off'].includes(PHONE_VERIFICATION)) throw new Error(`PHONE_VERIFICATION must be auto, on or off, not "${PHONE_VERIFICATION}"`);
+
+function phoneVerificationRequired() {
+    return PHONE_VERIFICATION === 'on' || (PHONE_VERIFICATION === 'auto' && notifier.canSms);
+}
+
+// Money only goes to the registered number, and one the user has proved they own when that is required
+async function payoutPhoneVerified(userEmail, phone) {
+    const user = await User.findOne({ email: userEmail }, 'phone phoneVerified').lean();
+    return !!user && formatPhone(user.phone) === formatPhone(phone) && (user.phoneVerified || !phoneVerificationRequired());
+}
+
+app.post('/api/verify/send', auth, otpLimiter, validate({ body: { target: field.oneOf(Object.keys(VERIFY_TARGETS)) } }), async (req, res) => {
+    try {
+        const target = req.body.target;
+        const t = VERIFY_TARGETS[target];
+        if (!t) return res.status(400).json({ error: 'target must be email or phone' });
+        const user = await User.findOne({ email: req.user.email }, 'email phone emailVerified phoneVerified').lean();
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        if (user[t.field]) return res.status(400).json({ error: `Your ${target} is already verified` });
+        if (!canDeliver(t.channel)) return res.status(503).json({ error: `${target === 'phone' ? 'SMS' : 'Email'} verification is not available right now. Contact support.` });
+        if (!(await sendVerificationCode(user, target))) return res.status(429).json({ error: 'A code was just sent. Wait a minute before asking for another.' });
+        res.json({ message: `Code sent to ${t.destination(user)}` });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.post('/api/verify/confirm', auth, otpLimiter, validate({ body: { target: field.oneOf(Object.keys(VERIFY_TARGETS)), code: field.string({ max: 10 }) } }), async (req, res) => {
+    try {
+        const { target, code } = req.body;
+        const t = VERIFY_TARGETS[target];
+        if (!t || !code) return res.status(400).json({ error: 'target (email or phone) and code required' });
+        const user = await User.findOne({ email: req.user.email }, 'email phone').lean();
+        if (!user) return res.status(404).json({ error: 'User not found' });
+
+        const record = await consumeOtp(user.email, t.purpose, code);
+        // The code proves ownership of where it was sent, so that must still be the account's address
+        if (!record || record.destination !== t.destination(user)) return res.status(400).json({ error: 'Invalid or expired code' });
+
+        await User.updateOne({ _id: user._id }, { $set: { [t.field]: true, [t.field + 'At']: new Date() } });
+        await logAction(user.email, target === 'phone' ? 'PHONE_VERIFIED' : 'EMAIL_VERIFIED', record.destination, req.ip);
+        res.json({ message: target === 'phone' ? 'M-Pesa number verified. You can now withdraw.' : 'Email verified.' });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ================= FORGOT PASSWORD =================
+// Step 1: send a code. The answer is the same whether or not the account exists, and delivery
+// happens after responding so the timing does not tell either.
+app.post('/api/password/forgot', otpLimiter, validate({ body: {
+    email: field.email({ optional: true }),
+    phone: field.string({ optional: true, max: 20 }),
+    channel: field.oneOf(['email', 'sms'], { optional: true })
+} }), async (req, res) => {
+    try {
+        const { email, phone } = req.body;
+        const channel = req.body.channel || (phone && !email ? 'sms' : 'email');
+        if (!email && !phone) return res.status(400).json({ error: 'Enter your email or phone number' });
+        if (channel !== 'email' && channel !== 'sms') return res.status(400).json({ error: 'channel must be email or sms' });
+        if (channel === 'email' ? !notifier.canEmail : !notifier.canSms) {
+            return res.status(503).json({ error: `Reset by ${channel === 'sms' ? 'SMS' : 'email'} is not available. Contact support.` });
+        }
+        res.json({ message: `If that account exists, a ${OTP_TTL_MINUTES}-minute reset code is on its way by ${channel === 'sms' ? 'SMS' : 'email'}.` });
+
+        const found = email
+            ? await User.find({ email: String(email).trim() }, 'email phone banned').lean()
+            : await User.find({ phone: { $in: phoneVariants(String(phone)) } }, 'email phone banned').limit(2).lean();
+        // A code reaches a number, not an account: when several accounts share the number it could
+        // not say which one it resets, so the owner is told to use their email instead
+        if (found.length > 1) {
+            if (channel === 'sms') await notifier.sms(formatPhone(phone), 'More than one Bitfreeze account uses this number, so it cannot be used to reset a password. Reset by email instead.');
+            SecurityLog.create({ type: 'RESET_SHARED_PHONE', ip: req.ip, path: req.path, detail: `${formatPhone(phone)} is on more than one account` }).catch(()=>{});
+            return;
+        }
+        const user = found[0];
+        if (!user || user.banned || (channel === 'sms' && !user.phone)) return;
+        const destination = channel === 'sms' ? formatPhone(user.phone) : user.email;
+        const code = await issueOtp(user.email, 'password-reset', channel, destination);
+        if (!code) return;
+
+        const text = `Your Bitfreeze password reset code is ${code}. It expires in ${OTP_TTL_MINUTES} minutes. If you did not ask for this, ignore it.`;
+        if (channel === 'sms') await notifier.sms(destination, text);
+        else await notifier.email(destination, 'Your Bitfreeze password reset code', text);
+        await logAction(user.email, 'PASSWORD_RESET_CODE_SENT', `${channel} to ${destination}`, req.ip);
+    } catch (err) {
+        if (!res.headersSent) return res.status(500).json({ error: err.message });
+        console.error('Password reset code not delivered:', err.message);
+    }
+});
+
+// Step 2: code + new password. Every signed-in device is logged out afterwards.
+app.post('/api/password/reset', otpLimiter, validate({ body: {
+    email: field.email({ optional: true }),
+    phone: field.string({ optional: true, max: 20 }),
+    code: field.string({ max: 10 }),
+    newPassword: field.string({ trim: false, max: 200 })
+} }), async (req, res) => {
+    try {
+        const { email, phone, code, newPassword } = req.body;
+        if (!code || !newPassword) return res.status(400).json({ error: 'Code and new password required' });
+        if (String(newPassword).length < PASSWORD_MIN_LENGTH) return res.status(400).json({ error: `Password must be at least ${PASSWORD_MIN_LENGTH} characters` });
+
+        // A shared number identifies no one account (see /api/password/forgot)
+        const found = email
+            ? await User.find({ email: String(email).trim() }, 'email').lean()
+            : phone ? await User.find({ phone: { $in: phoneVariants(String(phone)) } }, 'email').limit(2).lean() : [];
+        const user = found.length === 1 ? found[0] : null;
+        if (!user || !(await consumeOtp(user.email, 'password-reset', code))) {
+            return res.status(400).json({ error: 'Invalid or expired code' });
+        }
+
+        await User.updateOne({ email: user.email }, { $set: { password: await bcrypt.hash(String(newPassword), 10), passwordChangedAt: new Date() } });
+        const ended = await revokeSessions({ userEmail: user.email }, 'password-reset');
+        await logAction(user.email, 'PASSWORD_RESET_SELF', `${user.email} (${ended} session(s) ended)`, req.ip);
+        res.json({ message: 'Password changed. Sign in with your new password.' });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ================= SESSIONS: REFRESH / LOGOUT =================
+app.post('/api/token/refresh', validate({ body: { refreshToken: field.string({ max: 200 }) } }), async (req, res) => {
+    try {
+        const result = await rotateSession(req.body.refreshToken);
+        if (result.error) return res.status(result.retry ? 409 : 401).json(result);
+        res.json(result);
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.post('/api/logout', auth, validate({ body: {} }), async (req, res) => {
+    try {
+        await revokeSessions({ _id: req.user.sid }, 'logout');
+        res.json({ message: 'Logged out' });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.post('/api/logout-all', auth, validate({ body: {} }), async (req, res) => {
+    try {
+        const ended = await revokeSessions({ userEmail: req.user.email }, 'logout-all');
+        res.json({ message: `Logged out of ${ended} device(s)` });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Signed-in devices, so a user can spot one they do not recognise
+app.get('/api/sessions', auth, async (req, res) => {
+    try {
+        const sessions = await Session.find(
+            { userEmail: req.user.email, revokedAt: null, expiresAt: { $gt: new Date() } },
+            'ip userAgent createdAt lastUsedAt'
+        ).sort({ lastUsedAt: -1 }).lean();
+        res.json({ sessions: sessions.map(x => ({ ...x, current: String(x._id) === req.user.sid })) });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ================= 2FA ENROLMENT =================
+// Step 1: a fresh secret; add it to an authenticator app by scanning otpauthUrl as a QR code
+// or typing the secret
+app.post('/api/2fa/setup', auth, validate({ body: {} }), async (req, res) => {
+    try {
+        const user = await User.findOne({ email: req.user.email });
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        if (user.twoFactor && user.twoFactor.enabled) return res.status(400).json({ error: 'Two-factor authentication is already on' });
+        const secret = totp.generateSecret();
+        await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': sealSecret(secret) } });
+        res.json({ secret, otpauthUrl: totp.otpauthUrl({ secret, label: user.email, issuer: TOTP_ISSUER }) });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Step 2: the first code from the app proves it is set up; recovery codes are shown once
+app.post('/api/2fa/enable', auth, validate({ body: { code: field.string({ max: 10 }) } }), async (req, res) => {
+    try {
+        const user = await User.findOne({ email: req.user.email }).select(TWO_FACTOR_SECRETS);
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        const tf = user.twoFactor || {};
+        if (tf.enabled) return res.status(400).json({ error: 'Two-factor authentication is already on' });
+        if (!tf.pendingSecret) return res.status(400).json({ error: 'Start setup first' });
+
+        const secret = openSecret(tf.pendingSecret);
+        const step = totp.verifyTotp(secret, req.body.code);
+        if (step === null) return res.status(400).json({ error: 'Code does not match. Check the time on your phone and try again.' });
+
+        const codes = newRecoveryCodes();
+        await User.updateOne({ _id: user._id }, {
+            $set: {
+                'twoFactor.enabled': true, 'twoFactor.secret': sealSecret(secret), 'twoFactor.lastStep': step,
+                'twoFactor.recoveryCodes': codes.hashed, 'twoFactor.enabledAt': new Date()
+            },
+            $unset: { 'twoFactor.pendingSecret': '' }
+        });
+        await logAction(user.email, '2FA_ENABLED', user.email, req.ip);
+        res.json({ message: 'Two-factor authentication is on', recoveryCodes: codes.plain });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Turning 2FA off needs the password and a current code (or a recovery code)
+app.post('/api/2fa/disable', auth, validate({ body: {
+    password: field.string({ trim: false, max: 200 }),
+    code: field.string({ optional: true, max: 10 }),
+    recoveryCode: field.string({ optional: true, max: 50 })
+} }), async (req, res) => {
+    try {
+        const { password, code, recoveryCode } = req.body;
+        const user = await User.findOne({ email: req.user.email }).select(TWO_FACTOR_SECRETS);
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        if (!user.twoFactor || !user.twoFactor.enabled) return res.status(400).json({ error: 'Two-factor authentication is not on' });
+        if (!password || !(await bcrypt.compare(password, user.password))) return res.status(400).json({ error: 'Wrong password' });
+        if (!(await consumeSecondFactor(user, { code, recoveryCode }))) return res.status(400).json({ error: 'Invalid code' });
+
+        await User.updateOne({ _id: user._id }, { $set: { twoFactor: { enabled: false } } });
+        await logAction(user.email, '2FA_DISABLED', user.email, req.ip);
+        res.json({ message: 'Two-factor authentication is off' });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// New set of recovery codes; the old ones stop working
+app.post('/api/2fa/recovery-codes', auth, validate({ body: { code: field.string({ max: 10 }) } }), async (req, res) => {
+    try {
+        const user = await User.findOne({ email: req.user.email }).select(TWO_FACTOR_SECRETS);
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        if (!user.twoFactor || !user.twoFactor.enabled) return res.status(400).json({ error: 'Two-factor authentication is not on' });
+        if (!(await consumeSecondFactor(user, { code: req.body.code }))) return res.status(400).json({ error: 'Invalid code' });
+
+        const codes = newRecoveryCodes();
+        await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.recoveryCodes': codes.hashed } });
+        await logAction(user.email, '2FA_RECOVERY_CODES', user.email, req.ip);
+        res.json({ recoveryCodes: codes.plain });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ================= GET PROFILE =================
+app.get('/api/me', auth, async (req, res) => {
+    try {
+        const user = await User.findOne({ email: req.user.email });
+        if (!user) return res.status(404).json({ error: 'Not found' });
+        const holdings = await Holding.find({ userEmail: user.email, status: { $ne: 'revoked' } }).sort({ boughtAt: 1 }).lean();
+        const role = await adminRoleOf(user.email);
+        res.json({
+            user: { ...user.toObject(), fridges: holdings.map(holdingToFridge) },
+            isAdmin: !!role,
+            adminRole: role,
+            permissions: role ? rolePermissions(role) : [],
+            twoFactorSetupRequired: !!role && ADMIN_2FA_REQUIRED && !(user.twoFactor && user.twoFactor.enabled)
+        });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ================= ADMIN: MANUALLY TRIGGER DAILY EARNINGS =================
+app.post('/api/admin/run-earnings', auth, can('earnings'), validate({ body: { dryRun: field.boolean({ optional: true }) } }), async (req, res) => {
+    try {
+        const todayKey = earnings.dateKey();
+        // Guard: prevent running twice on same Kenya date
+        const alreadyRan = await Settings.findOne({ key: 'last_earnings_date' });
+        // ...unless today's run was cut off midway, in which case this resumes it
+        const unfinished = await EarningsRun.exists({ status: 'running', date: todayKey, trigger: { $ne: 'recredit' } });
+        if (alreadyRan && alreadyRan.value === todayKey && !unfinished) {
+            return res.status(400).json({ error: 'Earnings already credited today (' + todayKey + '). Cannot run again.' });
+        }
+        if (req.body.dryRun) {
+            const preview = await runDailyEarnings({ dryRun: true });
+            if (!preview) return res.status(409).json({ error: 'An earnings run is already in progress' });
+            return res.json({ message: 'Dry run: nothing was credited', dryRun: true, ...preview });
+        }
+        await Settings.findOneAndUpdate({ key: 'last_earnings_date' }, { value: todayKey }, { upsert: true });
+        const result = await runDailyEarnings({ trigger: 'admin', by: req.user.email });
+        if (!result) return res.status(409).json({ error: 'An earnings run is already in progress' });
+        await logAction(req.user.email, 'EARNINGS_RUN', `${todayKey}: KES ${result.totalCredited} to ${result.usersUpdated} users`, req.ip);
+        res.json({ message: 'Daily earnings run successfully for ' + todayKey, ...result });
+    } catch(err) { res.status(500).json({ error: err.message }); }
+});
+
+// ================= ADMIN: EARNINGS RUN JOURNAL =================
+app.get('/api/admin/earnings/runs', auth, can('earnings'), async (req, res) => {
+    try {
+        const runs = await EarningsRun.find().sort({ startedAt: -1 }).limit(60);
+        res.json({ runs });
+    } catch(err) { res.status(500).json({ error: err.message }); }
+});
+
+app.get('/api/admin/earnings/runs/:id', auth, can('earnings'), validate({ params: { id: field.objectId() } }), async (req, res) => {
+    try {
+        const run = await EarningsRun.findById(req.params.id);
+        if (!run) return res.status(404).json({ error: 'Run not found' });
+        // A catch-up run can hold a great many items; the first 1000 are enough to inspect it
+        const items = await EarningsRunItem.find({ runId: run._id }).sort({ _id: 1 }).limit(1000).lean();
+        res.json({ run, items });
+    } catch(err) { res.status(500).json({ error: err.message }); }
+});
+
+// ================= ADMIN: REVERSE AN EARNINGS RUN =================
+app.post('/api/admin/earnings/runs/:id/reverse', auth, can('earnings'), validate({
+    params: { id: field.objectId() },
+    body: { reason: field.string({ max: 500 }) }
+}), async (req, res) => {
+    try {
+        const { reason } = req.body;
+        if (!reason || !String(reason).trim()) return res.status(400).json({ error: 'Reason required' });
+        const { run, totalReversed } = await reverseEarningsRun(req.params.id, req.user.email, String(reason).trim());
+        await logAction(req.user.email, 'EARNINGS_RUN_REVERSED', `${run._id} (${run.date}): KES ${totalReversed} — ${reason}`, req.ip);
+        res.json({ message: `Run for ${run.date} reversed: KES ${totalReversed} taken back`, totalReversed });
+    } catch(err) { res.status(err.status || 500).json({ error: err.message }); }
+});
+
+// ================= ADMIN: PAY A REVERSED RUN AGAIN =================
+app.post('/api/admin/earnings/runs/:id/recredit', auth, can('earnings'), validate({ params: { id: field.objectId() }, body: {} }), async (req, res) => {
+    try {
+        const { run, reversed } = await recreditEarningsRun(req.params.id, req.user.email);
+        await logAction(req.user.email, 'EARNINGS_RUN_RECREDITED', `${reversed._id} (${reversed.date}) paid again by run ${run._id}: KES ${run.totalCredited}`, req.ip);
+        res.json({ message: `Days of the ${reversed.date} run credited again: KES ${run.totalCredited} (${run.fridgeDays} fridge-days)`, runId: run._id, totalCredited: run.totalCredited });
+    } catch(err) { res.status(err.status || 500).json({ error: err.message }); }
+});
+
+// ================= ADMIN: PER-DAY EARNING RECORDS =================
+app.get('/api/admin/earnings/days', auth, can('earnings'), validate({ query: {
+    email: field.email({ optional: true }),
+    date: field.string({ optional: true, pattern: /^\d{4}-\d{2}-\d{2}$/, hint: 'must be YYYY-MM-DD' })
+} }), async (req, res) => {
+    try {
+        const { email, date } = req.query;
+        const filter = {};
+        if (email) filter.userEmail = String(email);
+        if (date) filter.date = String(date);
+        const days = await EarningDay.find(filter).sort({ date: -1, createdAt: -1 }).limit(500);
+        res.json({ days, total: days.reduce((t, d) => t + (d.reversedAt ? 0 : d.amount), 0) });
+    } catch(err) { res.status(500).json({ error: err.message }); }
+});
+
+// ================= ADMIN: FORCE CREDIT OFFER EARNINGS =================
+app.post('/api/admin/force-credit', auth, can('earnings'), validate({ body: {} }), async (req, res) => {
+    try {
+        await checkAndCreditOfferEarnings();
+        res.json({ message: 'Offer earnings check completed.' });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ================= ONE-TIME FIX: Repair missing boughtAt and dailyEarn =================
+app.post('/api/admin/fix-user-fridges', auth, can('earnings'), validate({ body: {} }), async (req, res) => {
+    try {
+        const holdings = await Holding.find({
+            status: 'active',
+            $or: [{ boughtAt: null }, { fridgeId: { $not: /^offer/ }, dailyEarn: { $in: [null, 0] } }]
+        });
+        const users = new Set();
+        let fixed = 0, skipped = 0;
+
+        for (const h of holdings) {
+            const set = {};
+            if (!h.boughtAt) set.boughtAt = new Date('2026-01-01T00:00:00Z');
+            if (!h.fridgeId.startsWith('offer') && (!h.dailyEarn || h.dailyEarn === 0)) {
+                const pmt = h.paymentId
+                    ? await Payment.findById(h.paymentId)
+                    : await Payment.findOne({ userEmail: h.userEmail, fridgeId: h.fridgeId, approved: true }).sort({ createdAt: -1 });
+
+                if (pmt && pmt.fridgeDailyEarn) {
+                    set.dailyEarn = pmt.fridgeDailyEarn;
+                } else {
+                    const gf = FRIDGES.find(fr => fr.id === h.fridgeId);
+                    if (gf && gf.dailyEarn) set.dailyEarn = gf.dailyEarn;
+                }
+            }
+            if (Object.keys(set).length) {
+                await Holding.updateOne({ _id: h._id }, {
+                    $set: set,
+                    $push: { history: { action: 'repaired', by: req.user.email, note: Object.keys(set).join(', ') } }
+                });
+                users.add(h.userEmail);
                 fixed++;
             } else { skipped++; }
         }
-        res.json({ message: `Fixed ${fixed} users, skipped ${skipped} users`, fixed, skipped });
+        res.json({ message: `Fixed ${fixed} fridges for ${users.size} users, skipped ${skipped}`, fixed, skipped });
     } catch(err) { res.status(500).json({ error: err.message }); }
 });
 
+// Holdings (active unless filter says otherwise) grouped by owner, for the debug reports below
+async function holdingsByUser(filter = {}) {
+    const holdings = await Holding.find({ status: 'active', ...filter }).sort({ userEmail: 1, boughtAt: 1 }).lean();
+    const users = await User.find({ email: { $in: [...new Set(holdings.map(h => h.userEmail))] } }, 'email earning').lean();
+    const earning = new Map(users.map(u => [u.email, u.earning]));
+    const grouped = new Map();
+    for (const h of holdings) {
+        if (!grouped.has(h.userEmail)) grouped.set(h.userEmail, []);
+        grouped.get(h.userEmail).push(h);
+    }
+    return [...grouped].map(([email, list]) => ({ email, earning: earning.get(email), holdings: list }));
+}
+
 // ================= DEBUG: CHECK ALL USER FRIDGES =================
-app.get('/api/admin/debug/all-fridges', auth, async (req, res) => {
+app.get('/api/admin/debug/all-fridges', auth, can('earnings'), async (req, res) => {
     try {
-        if (req.user.email !== ADMIN_EMAIL) return res.status(403).json({ error: 'Admin only' });
         const now = new Date();
-        const users = await User.find({ 'fridges.0': { $exists: true } }, '-password');
-        const report = users.map(u => ({
+        const report = (await holdingsByUser()).map(u => ({
             email: u.email,
             earning: u.earning,
-            fridges: u.fridges.map(f => ({
-                id: f.id,
+            fridges: u.holdings.map(f => ({
+                holdingId: f._id,
+                id: f.fridgeId,
                 name: f.name,
                 dailyEarn: f.dailyEarn,
                 boughtAt: f.boughtAt,
                 hoursSinceBuy: f.boughtAt ? ((now - new Date(f.boughtAt)) / (1000*60*60)).toFixed(1) : 'NO boughtAt!',
                 qualifies: f.boughtAt ? ((now - new Date(f.boughtAt)) / (1000*60*60)) >= 24 : false,
-                isOffer: f.id.startsWith('offer'),
-                earningAdded: f.earningAdded
+                isOffer: f.fridgeId.startsWith('offer'),
+                earningAdded: f.earningAdded,
+                paymentId: f.paymentId
             }))
         }));
         res.json({ now, report });
@@ -674,27 +2109,21 @@ app.get('/api/admin/debug/all-fridges', auth, async (req, res) => {
 });
 
 // ================= DEBUG: CHECK OFFER FRIDGE DATA =================
-app.get('/api/admin/debug/offers', auth, async (req, res) => {
+app.get('/api/admin/debug/offers', auth, can('earnings'), async (req, res) => {
     try {
-        if (req.user.email !== ADMIN_EMAIL) return res.status(403).json({ error: 'Admin only' });
-        const users = await User.find({ 'fridges.0': { $exists: true } }, '-password');
-        const report = [];
-        for (const u of users) {
-            const offerFridges = u.fridges.filter(f => f.id && f.id.startsWith('offer'));
-            if (offerFridges.length === 0) continue;
-            report.push({
-                email: u.email,
-                earning: u.earning,
-                offerFridges: offerFridges.map(f => ({
-                    id: f.id,
-                    dailyEarn: f.dailyEarn,
-                    endTime: f.endTime,
-                    earningAdded: f.earningAdded,
-                    endTimePassed: f.endTime ? new Date() >= new Date(f.endTime) : null,
-                    boughtAt: f.boughtAt
-                }))
-            });
-        }
+        const report = (await holdingsByUser({ fridgeId: /^offer/, status: { $ne: 'revoked' } })).map(u => ({
+            email: u.email,
+            earning: u.earning,
+            offerFridges: u.holdings.map(f => ({
+                holdingId: f._id,
+                id: f.fridgeId,
+                dailyEarn: f.dailyEarn,
+                endTime: f.endTime,
+                earningAdded: f.earningAdded,
+                endTimePassed: f.endTime ? new Date() >= new Date(f.endTime) : null,
+                boughtAt: f.boughtAt
+            }))
+        }));
         res.json({ now: new Date(), report });
     } catch (err) { res.status(500).json({ error: err.message }); }
 });
@@ -705,7 +2134,7 @@ app.get('/api/fridges', auth, async (req, res) => {
 });
 
 // ================= PAYMENT: STK PUSH (PRIMARY METHOD) =================
-app.post('/api/payment/submit', auth, paymentLimiter, async (req, res) => {
+app.post('/api/payment/submit', auth, paymentLimiter, validate({ body: { fridgeId: field.string({ max: 40 }) } }), async (req, res) => {
     try {
         const { fridgeId } = req.body;
         const user = await User.findOne({ email: req.user.email });
@@ -720,7 +2149,8 @@ app.post('/api/payment/submit', auth, paymentLimiter, async (req, res) => {
             userEmail: user.email,
             fridgeId: fridge.id,
             approved: false,
-            stkStatus: { $in: ['pending', 'success'] }
+            rejected: { $ne: true },
+            stkStatus: { $in: ['pending', 'success', 'review'] }
         });
         if (pendingPayment) {
             return res.status(400).json({
@@ -745,6 +2175,7 @@ app.post('/api/payment/submit', auth, paymentLimiter, async (req, res) => {
             fridgePrice: fridge.price,
             fridgeDailyEarn: fridge.dailyEarn || 0,
             fridgeDurationHrs: fridge.durationHrs || 0,
+            planVersion: fridge.version,
             phone: user.phone,
             checkoutRequestId: stkData.CheckoutRequestID,
             stkStatus: 'pending'
@@ -770,17 +2201,49 @@ const SAFARICOM_IPS = [
     '196.201.212.136', '196.201.212.74', '196.201.212.69'
 ];
 
-app.post('/api/payment/mpesa/callback', async (req, res) => {
-    // Validate Safaricom IP (skip check in dev/test environments)
-    if (process.env.NODE_ENV === 'production') {
+// Daraja callbacks take no validate(): Safaricom adds fields without notice and retries anything
+// that is not a 200, so a strict schema would turn a new field into a retry storm and drop the
+// result. Each handler records the body first and then reads only the fields it needs, guarded:
+// every id that goes into a query passes callbackId, so an object never becomes an operator.
+
+// Saves the raw body and source IP before anything else looks at it
+function recordCallback(kind) {
+    return async (req, res, next) => {
+        const ip = (req.ip || req.connection.remoteAddress || '').replace('::ffff:', '');
+        try {
+            req.darajaCallback = await DarajaCallback.create({ kind, ip, payload: req.body });
+        } catch (err) {
+            console.error('recordCallback error:', err.message);
+        }
+        next();
+    };
+}
+
+// Links the stored callback to what it turned out to be about
+function noteCallback(req, fields) {
+    if (!req.darajaCallback) return;
+    DarajaCallback.updateOne({ _id: req.darajaCallback._id }, { $set: fields }).catch(()=>{});
+}
+
+// Validate Safaricom IP. Always on in production; SAFARICOM_IP_CHECK=true turns it on elsewhere
+// (e.g. staging). Skipped in dev/test so callbacks can be posted by hand.
+const SAFARICOM_IP_CHECK = process.env.NODE_ENV === 'production' || process.env.SAFARICOM_IP_CHECK === 'true';
+
+function safaricomOnly(req, res, next) {
+    if (SAFARICOM_IP_CHECK) {
         const callerIP = req.ip || req.connection.remoteAddress;
         const cleanIP = callerIP.replace('::ffff:', '');
         if (!SAFARICOM_IPS.includes(cleanIP)) {
             console.log(`🚨 Callback rejected from unknown IP: ${cleanIP}`);
+            noteCallback(req, { outcome: 'forbidden_ip' });
             return res.status(403).json({ error: 'Forbidden' });
         }
     }
+    next();
+}
 
+// No schema (see recordCallback): anything without Body.stkCallback is acknowledged and ignored
+app.post('/api/payment/mpesa/callback', recordCallback('stk'), safaricomOnly, async (req, res) => {
     // Always respond 200 immediately — Safaricom retries if you're slow
     res.status(200).json({ ResultCode: 0, ResultDesc: 'Accepted' });
 
@@ -789,33 +2252,35 @@ app.post('/api/payment/mpesa/callback', async (req, res) => {
         const stkCallback = body?.Body?.stkCallback;
         if (!stkCallback) return;
 
-        const checkoutRequestId = stkCallback.CheckoutRequestID;
+        const checkoutRequestId = callbackId(stkCallback.CheckoutRequestID);
         const resultCode = stkCallback.ResultCode;
+        if (!checkoutRequestId) {
+            noteCallback(req, { outcome: 'malformed' });
+            return;
+        }
 
         const payment = await Payment.findOne({ checkoutRequestId });
         if (!payment) {
             console.log(`⚠️ Callback received for unknown CheckoutRequestID: ${checkoutRequestId}`);
+            noteCallback(req, { outcome: 'unknown_checkout' });
             return;
         }
 
         if (resultCode === 0) {
             // Payment successful — extract M-Pesa transaction code
-            const items = stkCallback.CallbackMetadata?.Item || [];
-            const mpesaCode = items.find(i => i.Name === 'MpesaReceiptNumber')?.Value;
+            const items = Array.isArray(stkCallback.CallbackMetadata?.Item) ? stkCallback.CallbackMetadata.Item : [];
+            const mpesaCode = (callbackId(items.find(i => i.Name === 'MpesaReceiptNumber')?.Value) || '').toUpperCase();
             const amount    = items.find(i => i.Name === 'Amount')?.Value;
-            const phone     = items.find(i => i.Name === 'PhoneNumber')?.Value;
-
-            payment.transactionCode = mpesaCode || '';
-            payment.stkStatus = 'success';
-            await payment.save();
-
-            console.log(`✅ M-Pesa payment confirmed: ${mpesaCode} | KES ${amount} | ${phone}`);
+            const outcome = await applyStkSuccess(payment, { receipt: mpesaCode, amount, source: 'callback' });
+            noteCallback(req, { paymentId: payment._id, outcome });
         } else {
             // Payment failed or cancelled
+            const desc = stkCallback.ResultDesc || 'Payment failed';
             payment.stkStatus = 'failed';
+            payment.stkResultDesc = desc;
             await payment.save();
+            noteCallback(req, { paymentId: payment._id, outcome: 'failed' });
 
-            const desc = stkCallback.ResultDesc || 'Payment failed';
             console.log(`❌ STK payment failed for ${payment.userEmail}: ${desc}`);
 
             try {
@@ -826,8 +2291,456 @@ app.post('/api/payment/mpesa/callback', async (req, res) => {
     }
 });
 
+// A paid prompt, whether the callback said so or the status query found it. Both go through the
+// same checks and end in success (then auto-approve) or the review queue. The query gives no
+// receipt, so a payment it confirms waits in review until the callback brings the receipt or an
+// admin finds it on the statement. Returns the outcome to note on the callback.
+async function applyStkSuccess(payment, { receipt, amount, source }) {
+    // A repeated delivery of the callback we already applied
+    if (receipt && payment.transactionCode === receipt) return 'duplicate_delivery';
+
+    if (!receipt) {
+        // Only a payment nothing else has settled yet; a callback may have landed meanwhile
+        const reviewReason = `Reported paid by the ${source === 'query' ? 'status query' : 'callback'} without a receipt: find it on the statement before approving`;
+        await Payment.updateOne({ _id: payment._id, stkStatus: 'pending' }, { $set: { stkStatus: 'review', reviewReason, stkConfirmedBy: source } });
+        console.log(`⚠️ ${payment._id}: ${reviewReason}`);
+        return 'no_receipt';
+    }
+
+    // Never attach a receipt that already backs another payment
+    const owner = await Payment.findOne({ transactionCode: receipt, _id: { $ne: payment._id } }, '_id');
+    payment.stkConfirmedBy = source;
+    if (owner) {
+        payment.stkStatus = 'review';
+        payment.reviewReason = `Receipt ${receipt} is already attached to payment ${owner._id}`;
+        await payment.save();
+        console.log(`🚨 Receipt ${receipt} reused on payment ${payment._id}`);
+        return 'receipt_reused';
+    }
+
+    payment.transactionCode = receipt;
+    if (Number(amount) !== Math.ceil(payment.fridgePrice || 0)) {
+        // Money arrived but not the right amount: an admin has to decide
+        payment.stkStatus = 'review';
+        payment.reviewReason = `Paid KES ${amount}, fridge costs KES ${payment.fridgePrice}`;
+        await payment.save();
+        console.log(`⚠️ Amount mismatch on ${payment._id}: ${payment.reviewReason}`);
+        return 'amount_mismatch';
+    }
+
+    payment.stkStatus = 'success';
+    payment.reviewReason = '';
+    await payment.save();
+    console.log(`✅ M-Pesa payment confirmed by ${source}: ${receipt} | KES ${amount} | ${payment.userEmail}`);
+
+    if (AUTO_APPROVE_STK && !payment.approved) await autoApproveStkPayment(payment, receipt, amount);
+    return 'success';
+}
+
+// ================= STK STATUS QUERY JOB =================
+// Payments still pending after STK_QUERY_AFTER_MINS are asked about directly; ones with
+// no definite answer after STK_EXPIRE_AFTER_MINS are expired so the user can try again.
+const STK_QUERY_AFTER_MINS  = Number(process.env.STK_QUERY_AFTER_MINS || 3);
+const STK_EXPIRE_AFTER_MINS = Number(process.env.STK_EXPIRE_AFTER_MINS || 30);
+
+let stkQueryRunning = false;
+
+async function checkPendingStkPayments() {
+    if (stkQueryRunning) return;
+    stkQueryRunning = true;
+    try {
+        const now = Date.now();
+        const pending = await Payment.find({
+            stkStatus: 'pending',
+            checkoutRequestId: { $exists: true, $ne: null },
+            rejected: { $ne: true },
+            createdAt: { $lte: new Date(now - STK_QUERY_AFTER_MINS * 60 * 1000) }
+        }).limit(50);
+
+        for (const payment of pending) {
+            let outcome = { pending: true, resultDesc: '' };
+            try {
+                outcome = await queryStkPush(payment.checkoutRequestId);
+            } catch (err) {
+                outcome.resultDesc = err.response?.data?.errorMessage || err.message;
+            }
+
+            // Paid: the same path as a callback would take, with the amount the prompt asked for
+            if (!outcome.pending && outcome.resultCode === 0) {
+                await Payment.updateOne({ _id: payment._id }, { $set: { stkCheckedAt: new Date(), stkResultDesc: outcome.resultDesc } });
+                await applyStkSuccess(payment, { receipt: '', amount: Math.ceil(payment.fridgePrice || 0), source: 'query' });
+                console.log(`🔎 STK query: payment ${payment._id} for ${payment.userEmail} was paid (${outcome.resultDesc})`);
+                continue;
+            }
+
+            // The callback may have landed while we were waiting on Daraja
+            const update = { stkCheckedAt: new Date(), stkResultDesc: outcome.resultDesc };
+            if (!outcome.pending) {
+                update.stkStatus = 'failed';
+            } else if (now - payment.createdAt.getTime() >= STK_EXPIRE_AFTER_MINS * 60 * 1000) {
+                update.stkStatus = 'expired';
+            }
+            const applied = await Payment.findOneAndUpdate(
+                { _id: payment._id, stkStatus: 'pending' }, { $set: update }, { new: true }
+            );
+            if (applied && applied.stkStatus !== 'pending') {
+                console.log(`🔎 STK query: payment ${payment._id} for ${payment.userEmail} -> ${applied.stkStatus} (${outcome.resultDesc})`);
+            }
+        }
+    } catch (err) {
+        console.error('checkPendingStkPayments error:', err);
+    } finally {
+        stkQueryRunning = false;
+    }
+}
+
+// ================= WITHDRAWAL PAYOUTS (B2C) =================
+// Sends the net amount of an approved withdrawal. Only withdrawals in queued/retry are
+// claimed, so the cron job and an admin click can never send the same attempt twice.
+async function sendWithdrawalPayout(withdrawalId) {
+    const wd = await Withdrawal.findOneAndUpdate(
+        { _id: withdrawalId, status: 'approved', 'payout.state': { $in: ['queued', 'retry'] } },
+        {
+            $set: {
+                'payout.state': 'sending', 'payout.lastAttemptAt': new Date(),
+                // A new attempt identity: results for earlier attempts no longer match this one
+                'payout.originatorConversationId': crypto.randomUUID(), 'payout.conversationId': null
+            },
+            $inc: { 'payout.attempts': 1 }
+        },
+        { new: true }
+    );
+    if (!wd) return null;
+
+    // Checked again here because retries can run long after approval
+    if (!(await payoutPhoneVerified(wd.userEmail, wd.phone))) {
+        wd.payout.state = 'failed';
+        wd.payout.resultDesc = 'M-Pesa number not verified';
+        wd.payout.log.push({ outcome: 'error', detail: 'M-Pesa number not verified' });
+        await wd.save();
+        return wd;
+    }
+
+    const originatorConversationId = wd.payout.originatorConversationId;
+    try {
+        const data = await initiateB2CPayment(wd.phone, wd.netAmount, `Bitfreeze withdrawal ${wd._id}`, originatorConversationId);
+        wd.payout.state = 'sent';
+        wd.payout.conversationId = data.ConversationID;
+        wd.payout.log.push({ conversationId: data.ConversationID, originatorConversationId, outcome: 'sent', detail: data.ResponseDescription || '' });
+        await wd.save();
+        console.log(`💸 B2C payout sent: KES ${wd.netAmount} to ${wd.phone} (${data.ConversationID})`);
+    } catch (err) {
+        const detail = err.response?.data?.errorMessage || err.message;
+        if (isB2CRejection(err)) {
+            wd.payout.log.push({ originatorConversationId, outcome: 'error', detail });
+            await schedulePayoutRetry(wd, detail);
+        } else {
+            // Timeout, reset, 5xx without a Daraja body: the request may have been accepted.
+            // Only the result callback or an admin settles it; it is never resent automatically.
+            wd.payout.state = 'unknown';
+            wd.payout.resultDesc = detail;
+            wd.payout.nextAttemptAt = null;
+            wd.payout.log.push({ originatorConversationId, outcome: 'unknown', detail });
+            await wd.save();
+            console.error(`⚠️ B2C payout outcome unknown for withdrawal ${wd._id}: ${detail}`);
+            SecurityLog.create({ type: 'PAYOUT_UNKNOWN', ip: '', path: 'b2c', detail: `${wd._id} ${wd.userEmail}: ${detail}` }).catch(()=>{});
+        }
+    }
+    return wd;
+}
+
+// Puts a failed attempt back in the queue with backoff, or gives up after B2C_MAX_ATTEMPTS
+async function schedulePayoutRetry(wd, reason) {
+    const next = nextPayoutAttempt(wd.payout.attempts, { maxAttempts: B2C_MAX_ATTEMPTS, retryMinutes: B2C_RETRY_MINUTES });
+    wd.payout.resultDesc = reason;
+    wd.payout.state = next.state;
+    wd.payout.nextAttemptAt = next.nextAttemptAt;
+    if (next.state === 'failed') {
+        console.error(`❌ B2C payout gave up for withdrawal ${wd._id}: ${reason}`);
+        SecurityLog.create({ type: 'PAYOUT_FAILED', ip: '', path: 'b2c', detail: `${wd._id} ${wd.userEmail}: ${reason}` }).catch(()=>{});
+    }
+    await wd.save();
+}
+
+async function retryDuePayouts() {
+    if (!B2C_ENABLED) return;
+    try {
+        const due = await Withdrawal.find(
+            { status: 'approved', 'payout.state': 'retry', 'payout.nextAttemptAt': { $lte: new Date() } },
+            '_id'
+        ).limit(20);
+        for (const wd of due) await sendWithdrawalPayout(wd._id);
+    } catch (err) {
+        console.error('retryDuePayouts error:', err);
+    }
+}
+
+// Finds the withdrawal a B2C result (from readB2CResult) belongs to, for this attempt or an
+// earlier one; b2cResultAction / b2cTimeoutAction then say what it does to it.
+async function findPayoutWithdrawal(result) {
+    const ids = [result.conversationId, result.originatorConversationId].filter(Boolean);
+    if (!ids.length) return null;
+    const wd = await Withdrawal.findOne({
+        $or: [
+            { 'payout.conversationId': { $in: ids } },
+            { 'payout.originatorConversationId': { $in: ids } },
+            { 'payout.log.conversationId': { $in: ids } },
+            { 'payout.log.originatorConversationId': { $in: ids } }
+        ]
+    });
+    return wd;
+}
+
+// A result for a superseded attempt is recorded and nothing else. A late success means money
+// went out on that attempt, so it is also raised on the security page for an admin to check.
+async function noteStalePayoutResult(wd, result) {
+    const paid = result.resultCode === 0;
+    wd.payout.log.push({
+        conversationId: result.conversationId, originatorConversationId: result.originatorConversationId,
+        outcome: 'stale', detail: `${paid ? 'success' : 'failed'} for an earlier attempt: ${result.resultDesc}`
+    });
+    await wd.save();
+    console.log(`⚠️ B2C result for an earlier attempt of withdrawal ${wd._id} ignored (${result.conversationId})`);
+    if (paid) {
+        SecurityLog.create({ type: 'PAYOUT_STALE_SUCCESS', ip: '', path: 'b2c', detail: `${wd._id} ${wd.userEmail}: earlier attempt ${result.conversationId} was paid` }).catch(()=>{});
+    }
+}
+
+// ================= M-PESA B2C RESULT (called by Safaricom) =================
+// No schema (see recordCallback): a body without Result, or whose ids match no withdrawal, changes nothing
+app.post('/api/payout/mpesa/result', recordCallback('b2c_result'), safaricomOnly, async (req, res) => {
+    res.status(200).json({ ResultCode: 0, ResultDesc: 'Accepted' });
+
+    try {
+        if (!req.body?.Result) return;
+        const result = readB2CResult(req.body);
+        const wd = await findPayoutWithdrawal(result);
+        if (!wd) {
+            console.log(`⚠️ B2C result for unknown ConversationID: ${result.conversationId}`);
+            noteCallback(req, { outcome: 'unknown_conversation' });
+            return;
+        }
+        const action = b2cResultAction(wd.payout, result);
+        noteCallback(req, { withdrawalId: wd._id, outcome: { stale: 'stale_attempt', duplicate: 'duplicate_delivery', paid: 'success', failed: 'failed' }[action] });
+        if (action === 'stale') return noteStalePayoutResult(wd, result);
+        if (action === 'duplicate') return;
+
+        wd.payout.resultCode = result.resultCode;
+        wd.payout.resultDesc = result.resultDesc;
+
+        if (action === 'paid') {
+            wd.payout.state = 'success';
+            wd.payout.receipt = result.receipt;
+            wd.payout.nextAttemptAt = null;
+            wd.payout.log.push({ conversationId: result.conversationId, outcome: 'success', detail: result.receipt });
+            await wd.save();
+            await transitionWithdrawal(wd._id, 'approved', 'paid', 'system', { note: `M-Pesa ${result.receipt}` });
+            console.log(`✅ B2C payout confirmed: ${result.receipt} | KES ${wd.netAmount} | ${wd.phone}`);
+        } else {
+            wd.payout.log.push({ conversationId: result.conversationId, outcome: 'failed', detail: result.resultDesc });
+            await schedulePayoutRetry(wd, result.resultDesc || 'B2C payment failed');
+        }
+    } catch (err) {
+        console.error('B2C result processing error:', err);
+    }
+});
+
+// ================= M-PESA B2C QUEUE TIMEOUT (called by Safaricom) =================
+// The request expired in Safaricom's queue without being processed, so it is safe to retry.
+// No schema (see recordCallback): it only acts when the ids match the current attempt.
+app.post('/api/payout/mpesa/timeout', recordCallback('b2c_timeout'), safaricomOnly, async (req, res) => {
+    res.status(200).json({ ResultCode: 0, ResultDesc: 'Accepted' });
+
+    try {
+        const result = readB2CResult(req.body);
+        const wd = await findPayoutWithdrawal(result);
+        if (!wd) return;
+        const action = b2cTimeoutAction(wd.payout, result);
+        noteCallback(req, { withdrawalId: wd._id, outcome: action === 'stale' ? 'stale_attempt' : 'timeout' });
+        if (action !== 'retry') return;
+        wd.payout.log.push({ conversationId: result.conversationId, outcome: 'timeout', detail: result.resultDesc });
+        await schedulePayoutRetry(wd, 'Queue timeout');
+    } catch (err) {
+        console.error('B2C timeout processing error:', err);
+    }
+});
+
+// ================= ADMIN: RETRY FAILED PAYOUT =================
+// An 'unknown' payout may already have been paid, so it is only resent when the admin has checked
+// the M-Pesa statement and says so with confirmNotPaid
+app.post('/api/admin/withdrawal/payout/retry', auth, can('withdrawals'), validate({ body: {
+    withdrawalId: field.objectId(),
+    confirmNotPaid: field.boolean({ optional: true })
+} }), async (req, res) => {
+    try {
+        if (!B2C_ENABLED) return res.status(400).json({ error: 'B2C payouts are not enabled' });
+        const { withdrawalId, confirmNotPaid } = req.body;
+        const states = confirmNotPaid ? ['failed', 'retry', 'none', 'unknown'] : ['failed', 'retry', 'none'];
+        const queued = await Withdrawal.findOneAndUpdate(
+            { _id: withdrawalId, status: 'approved', 'payout.state': { $in: states } },
+            { $set: { 'payout.state': 'queued', 'payout.attempts': 0, 'payout.nextAttemptAt': null } },
+            { new: true }
+        );
+        if (!queued) {
+            const unknown = await Withdrawal.exists({ _id: withdrawalId, 'payout.state': 'unknown' });
+            return res.status(400).json({ error: unknown
+                ? 'The last payout attempt may have gone through. Check the M-Pesa statement, then resend with confirmNotPaid.'
+                : 'Withdrawal is not waiting for a payout' });
+        }
+        await logAction(req.user.email, 'PAYOUT_RETRY', `${queued._id} KES ${queued.netAmount} to ${queued.phone}` + (confirmNotPaid ? ' (admin confirmed the earlier attempt was not paid)' : ''), req.ip);
+        const wd = await sendWithdrawalPayout(queued._id);
+        res.json({ message: `Payout ${wd?.payout?.state === 'sent' ? 'sent' : 'queued for retry'}`, payout: wd?.payout });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ================= C2B MATCHING =================
+// Checks a payment's transaction code against recorded till payments and records the outcome
+async function matchPaymentToC2B(payment) {
+    const code = (payment.transactionCode || '').toUpperCase();
+    if (!code) return payment;
+
+    const txn = await C2BTransaction.findOne({ transId: code });
+    let result = 'matched', note = '';
+    if (!txn) {
+        result = 'unmatched'; note = 'No till payment with this code received yet';
+    } else if (txn.paymentId && String(txn.paymentId) !== String(payment._id)) {
+        result = 'mismatch'; note = 'Code already matched to payment ' + txn.paymentId;
+    } else if (Number(txn.amount) !== Math.ceil(payment.fridgePrice || 0)) {
+        result = 'mismatch'; note = `Paid KES ${txn.amount}, fridge costs KES ${payment.fridgePrice}`;
+    } else if (!msisdnMatches(txn.msisdn, payment.phone)) {
+        result = 'mismatch'; note = `Paid from ${txn.msisdn}, account phone is ${payment.phone}`;
+    }
+
+    if (result === 'matched') {
+        // Claim the till payment so it can only ever back one Payment
+        const claimed = await C2BTransaction.findOneAndUpdate(
+            { _id: txn._id, $or: [{ paymentId: null }, { paymentId: payment._id }] },
+            { $set: { paymentId: payment._id } }
+        );
+        if (!claimed) { result = 'mismatch'; note = 'Code was matched to another payment'; }
+    }
+
+    payment.c2bMatch = result;
+    payment.c2bMatchNote = note;
+    payment.c2bTransactionId = result === 'matched' ? txn._id : null;
+    await payment.save();
+    return payment;
+}
+
+// ================= M-PESA C2B VALIDATION (called by Safaricom) =================
+// No schema (see recordCallback): the body is recorded and not read
+app.post('/api/payment/c2b/validation', recordCallback('c2b_validation'), safaricomOnly, (req, res) => {
+    // Every till payment is real money, so nothing is refused here
+    res.status(200).json({ ResultCode: 0, ResultDesc: 'Accepted' });
+});
+
+// ================= M-PESA C2B CONFIRMATION (called by Safaricom) =================
+// No schema (see recordCallback): only TransID is required, and the whole body is kept as raw
+app.post('/api/payment/c2b/confirmation', recordCallback('c2b_confirmation'), safaricomOnly, async (req, res) => {
+    res.status(200).json({ ResultCode: 0, ResultDesc: 'Accepted' });
+
+    try {
+        const b = req.body || {};
+        const transId = callbackId(b.TransID)?.toUpperCase();
+        if (!transId) return;
+        await C2BTransaction.updateOne(
+            { transId },
+            {
+                $setOnInsert: {
+                    transId,
+                    transType: b.TransactionType,
+                    transTime: b.TransTime,
+                    amount: Number(b.TransAmount),
+                    shortCode: b.BusinessShortCode,
+                    billRefNumber: b.BillRefNumber,
+                    msisdn: b.MSISDN,
+                    firstName: b.FirstName,
+                    raw: b
+                }
+            },
+            { upsert: true }
+        );
+        console.log(`📥 C2B payment recorded: ${transId} | KES ${b.TransAmount}`);
+
+        // A manual submission may have arrived before the confirmation did
+        const waiting = await Payment.find({ transactionCode: transId, c2bMatch: { $ne: 'matched' } });
+        for (const payment of waiting) await matchPaymentToC2B(payment);
+        noteCallback(req, { paymentId: waiting[0]?._id || null, outcome: 'recorded' });
+    } catch (err) {
+        console.error('C2B confirmation error:', err);
+    }
+});
+
+// ================= ADMIN: REGISTER C2B URLS =================
+app.post('/api/admin/mpesa/c2b/register', auth, can('settings'), validate({ body: {} }), async (req, res) => {
+    try {
+        const data = await registerC2BUrls();
+        await logAction(req.user.email, 'C2B_REGISTERED', `${C2B_CONFIRMATION_URL} | ${C2B_VALIDATION_URL}`, req.ip);
+        res.json({ message: 'C2B URLs registered', daraja: data });
+    } catch (err) { res.status(502).json({ error: err.response?.data?.errorMessage || err.message }); }
+});
+
+// ================= ADMIN: RE-RUN C2B MATCH FOR A PAYMENT =================
+app.post('/api/admin/payment/match', auth, can('payments'), validate({ body: { paymentId: field.objectId() } }), async (req, res) => {
+    try {
+        const payment = await Payment.findById(req.body.paymentId);
+        if (!payment) return res.status(404).json({ error: 'Payment not found' });
+        await matchPaymentToC2B(payment);
+        res.json({ c2bMatch: payment.c2bMatch, note: payment.c2bMatchNote });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ================= STK AUTO-APPROVE =================
+// With AUTO_APPROVE_STK=true a successful callback assigns the fridge straight away, provided
+// callback IPs are checked (SAFARICOM_IP_CHECK), the amount paid is the fridge price, the receipt
+// was never seen before and Daraja's own status query agrees that the prompt was paid.
+const AUTO_APPROVE_STK = process.env.AUTO_APPROVE_STK === 'true';
+if (AUTO_APPROVE_STK && !SAFARICOM_IP_CHECK) {
+    console.warn('⚠️ AUTO_APPROVE_STK is on but callback IPs are not checked: STK payments will wait for an admin');
+}
+
+async function autoApproveStkPayment(payment, mpesaCode, amount) {
+    if (!mpesaCode) return;
+    // Without the allowlist anyone can post a callback, so what one says never assigns a fridge by itself
+    if (!SAFARICOM_IP_CHECK) return;
+    if (Number(amount) !== Math.ceil(payment.fridgePrice || 0)) {
+        console.log(`⚠️ Auto-approve skipped for ${payment._id}: paid KES ${amount}, price KES ${payment.fridgePrice}`);
+        return;
+    }
+    const seen = await Payment.exists({ transactionCode: mpesaCode, _id: { $ne: payment._id } });
+    if (seen) {
+        console.log(`⚠️ Auto-approve skipped for ${payment._id}: receipt ${mpesaCode} already used`);
+        return;
+    }
+
+    // The callback body is a claim; the status query is Daraja's answer for this prompt
+    let confirmed;
+    try {
+        confirmed = await queryStkPush(payment.checkoutRequestId);
+    } catch (err) {
+        console.log(`⚠️ Auto-approve skipped for ${payment._id}: status query failed (${err.response?.data?.errorMessage || err.message})`);
+        return;
+    }
+    if (confirmed.pending || confirmed.resultCode !== 0) {
+        const reviewReason = `Callback reported ${mpesaCode} paid, but Daraja's status query says: ${confirmed.resultDesc || 'still processing'}`;
+        await Payment.updateOne({ _id: payment._id, approved: false }, { $set: { stkStatus: 'review', reviewReason } });
+        console.log(`🚨 ${payment._id}: ${reviewReason}`);
+        return;
+    }
+
+    try {
+        await approvePayment(payment._id, 'system:stk');
+        await logAction('system:stk', 'PAYMENT_AUTO_APPROVED', `${payment._id} ${mpesaCode} for ${payment.userEmail}`);
+        console.log(`✅ Auto-approved payment ${payment._id} (${mpesaCode})`);
+    } catch (err) {
+        // A repeated callback finds the payment already approved; nothing to do
+        if (err.status) return;
+        console.error('Auto-approve error:', err);
+    }
+}
+
 // ================= PAYMENT: MANUAL (FALLBACK — enter code if STK fails) =================
-app.post('/api/payment/manual', auth, async (req, res) => {
+app.post('/api/payment/manual', auth, validate({ body: { fridgeId: field.string({ max: 40 }), txnCode: field.string({ max: 30 }) } }), async (req, res) => {
     try {
         const { fridgeId, txnCode } = req.body;
         if (!fridgeId || !txnCode || txnCode.length < 8)
@@ -846,7 +2759,8 @@ app.post('/api/payment/manual', auth, async (req, res) => {
         const pendingPayment = await Payment.findOne({
             userEmail: user.email,
             fridgeId: fridge.id,
-            approved: false
+            approved: false,
+            rejected: { $ne: true }
         });
         if (pendingPayment) return res.status(400).json({
             error: 'You already have a pending payment for this fridge.'
@@ -859,11 +2773,13 @@ app.post('/api/payment/manual', auth, async (req, res) => {
             fridgePrice: fridge.price,
             fridgeDailyEarn: fridge.dailyEarn || 0,
             fridgeDurationHrs: fridge.durationHrs || 0,
+            planVersion: fridge.version,
             phone: user.phone,
             transactionCode: txnCode.toUpperCase(),
             stkStatus: 'manual'
         });
         await payment.save();
+        await matchPaymentToC2B(payment);
 
         res.json({ message: 'Payment submitted! Awaiting admin verification.' });
     } catch (err) {
@@ -871,59 +2787,95 @@ app.post('/api/payment/manual', auth, async (req, res) => {
     }
 });
 
-// ================= ADMIN: GET ALL PAYMENTS =================
-app.get('/api/admin/payments', auth, async (req, res) => {
+// ================= USER PAYMENT HISTORY =================
+app.get('/api/payments', auth, async (req, res) => {
     try {
-        if (req.user.email !== ADMIN_EMAIL) return res.status(403).json({ error: 'Admin only' });
-        const payments = await Payment.find().sort({ createdAt: -1 });
+        const payments = await Payment.find(
+            { userEmail: req.user.email },
+            'fridgeName fridgePrice transactionCode stkStatus approved revoked rejected rejectionReason rejectedAt createdAt'
+        ).sort({ createdAt: -1 });
         res.json({ payments });
     } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-// ================= ADMIN: APPROVE PAYMENT =================
-app.post('/api/admin/payment/approve', auth, async (req, res) => {
+// ================= ADMIN: PAYMENT REVIEW QUEUE =================
+app.get('/api/admin/payments/review', auth, can('payments'), async (req, res) => {
     try {
-        if (req.user.email !== ADMIN_EMAIL) return res.status(403).json({ error: 'Admin only' });
-        const { paymentId } = req.body;
-        const payment = await Payment.findById(paymentId);
+        const payments = await Payment.find({ stkStatus: 'review', approved: false, rejected: { $ne: true } }).sort({ createdAt: -1 });
+        res.json({ payments });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ================= ADMIN: PAYMENT DETAIL WITH RAW CALLBACKS =================
+app.get('/api/admin/payment/:id', auth, can('payments'), validate({ params: { id: field.objectId() } }), async (req, res) => {
+    try {
+        const payment = await Payment.findById(req.params.id);
         if (!payment) return res.status(404).json({ error: 'Payment not found' });
-        if (payment.approved) return res.status(400).json({ error: 'Already approved' });
-
-        const user = await User.findOne({ email: payment.userEmail });
-        const fridge = FRIDGES.find(f => f.id === payment.fridgeId);
-        if (!user || !fridge) return res.status(404).json({ error: 'User or fridge not found' });
-
-        if (fridge.id.startsWith('offer')) {
-            const earnToSave = payment.fridgeDailyEarn || fridge.dailyEarn || 0;
-            const durationHrs = payment.fridgeDurationHrs || fridge.durationHrs || 24;
-            const endTime = new Date(Date.now() + durationHrs * 60 * 60 * 1000);
-            user.fridges.push({
-                id: fridge.id,
-                name: fridge.name,
-                price: payment.fridgePrice || fridge.price,
-                dailyEarn: earnToSave,
-                boughtAt: new Date(),
-                endTime,
-                earningAdded: false
-            });
-        } else {
-            const earnToSave = payment.fridgeDailyEarn || fridge.dailyEarn || 0;
-            user.fridges.push({
-                id: fridge.id,
-                name: fridge.name,
-                price: payment.fridgePrice || fridge.price,
-                dailyEarn: earnToSave,
-                boughtAt: new Date()
-            });
+        const [callbacks, c2b] = await Promise.all([
+            DarajaCallback.find({ paymentId: payment._id }).sort({ receivedAt: 1 }),
+            payment.c2bTransactionId ? C2BTransaction.findById(payment.c2bTransactionId) : null
+        ]);
+        res.json({ payment, callbacks, c2b });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ================= ADMIN: GET ALL PAYMENTS =================
+app.get('/api/admin/payments', auth, can('payments'), async (req, res) => {
+    try {
+        const payments = await Payment.find().sort({ createdAt: -1 });
+        res.json({ payments });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ================= PAYMENT APPROVAL =================
+function approvalError(message, status = 400) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+// Assigns the fridge (and any referral reward) for a payment. The approved flag is claimed
+// inside the same transaction, so a payment is approved exactly once no matter how many
+// admins click or how many times Safaricom repeats a callback.
+async function approvePayment(paymentId, approvedBy) {
+    return mongoose.connection.transaction(async session => {
+        const payment = await Payment.findOneAndUpdate(
+            { _id: paymentId, approved: false, rejected: { $ne: true } },
+            { $set: { approved: true, approvedAt: new Date(), approvedBy } },
+            { new: true, session }
+        );
+        if (!payment) {
+            const existing = await Payment.findById(paymentId).session(session);
+            if (!existing) throw approvalError('Payment not found', 404);
+            throw approvalError(existing.rejected ? 'Payment was rejected' : 'Already approved');
         }
 
-        user.markModified('fridges');
-        await user.save();
-        payment.approved = true;
-        await payment.save();
+        const user = await User.findOne({ email: payment.userEmail }).session(session);
+        // The version the user paid for, even if the plan was edited or retired since
+        const terms = await planVersionTerms(payment.fridgeId, payment.planVersion, session);
+        if (!user || !terms) throw approvalError('User or fridge not found', 404);
+
+        const holding = {
+            userEmail: user.email,
+            paymentId: payment._id,
+            fridgeId: payment.fridgeId,
+            name: payment.fridgeName || terms.name,
+            price: payment.fridgePrice || terms.price,
+            dailyEarn: payment.fridgeDailyEarn || terms.dailyEarn || 0,
+            planVersion: terms.version,
+            boughtAt: new Date(),
+            statusAt: new Date(),
+            history: [{ action: 'created', by: approvedBy }]
+        };
+        if (payment.fridgeId.startsWith('offer')) {
+            const durationHrs = payment.fridgeDurationHrs || terms.durationHrs || 24;
+            holding.endTime = new Date(Date.now() + durationHrs * 60 * 60 * 1000);
+            holding.earningAdded = false;
+        }
+        await Holding.create([holding], { session });
 
         if (user.referredBy && !user.referralRewarded) {
-            const referrer = await User.findOne({ email: user.referredBy });
+            const referrer = await User.findOne({ email: user.referredBy }).session(session);
             if (referrer) {
                 let reward;
                 if (referrer.isMarketer) {
@@ -933,102 +2885,396 @@ app.post('/api/admin/payment/approve', auth, async (req, res) => {
                     reward = getReferralReward(payment.fridgePrice || 0);
                 }
                 if (reward > 0) {
-                    referrer.earning += reward;
-                    await referrer.save();
+                    const ledgerTxnId = await postLedger({
+                        userEmail: referrer.email, amount: reward, reason: 'REFERRAL_REWARD',
+                        sourceType: 'payment', sourceId: payment._id, memo: 'Referral of ' + user.email
+                    }, { session });
+                    await Payment.updateOne({ _id: payment._id }, {
+                        $set: { referral: { referrerEmail: referrer.email, amount: reward, ledgerTxnId, rewardedAt: new Date() } }
+                    }, { session });
                     user.referralRewarded = true;
-                    await user.save();
+                    await user.save({ session });
                     console.log(`Referral reward: KES ${reward} to ${user.referredBy}`);
                 }
             }
         }
 
-        res.json({ message: 'Payment approved and fridge assigned' });
-    } catch (err) { res.status(500).json({ error: err.message }); }
+        return payment;
+    });
+}
+
+// Takes back the referral reward a revoked payment paid out. The debit is posted without a
+// funds check: if the referrer already withdrew it their earning goes negative and stays
+// visible until new earnings cover it. Payments approved before rewards were recorded on
+// the payment are found through their ledger entry.
+async function clawBackReferral(payment, by, session) {
+    const recorded = payment.toObject().referral;
+    let ref = recorded && recorded.amount ? recorded : null;
+    if (!ref) {
+        const entry = await LedgerEntry.findOne({
+            reason: 'REFERRAL_REWARD', sourceType: 'payment', sourceId: String(payment._id), account: /^user:/
+        }).session(session);
+        if (entry) ref = { referrerEmail: entry.userEmail, amount: entry.amount, ledgerTxnId: entry.txnId, rewardedAt: entry.createdAt };
+    }
+    if (!ref || ref.clawedBackAt) return null;
+
+    const clawbackTxnId = await postLedger({
+        userEmail: ref.referrerEmail, amount: -ref.amount, reason: 'REFERRAL_CLAWBACK',
+        sourceType: 'payment', sourceId: payment._id, memo: `Payment by ${payment.userEmail} revoked`
+    }, { session });
+    const referral = { ...ref, clawedBackAt: new Date(), clawedBackBy: by, clawbackTxnId };
+    await Payment.updateOne({ _id: payment._id }, { $set: { referral } }, { session });
+    // The buyer's next approved payment can reward the referrer again
+    await User.updateOne({ email: payment.userEmail }, { $set: { referralRewarded: false } }, { session });
+    const referrer = await User.findOne({ email: ref.referrerEmail }, 'earning').session(session);
+    return { ...referral, referrerEarning: referrer ? referrer.earning : null };
+}
+
+// ================= ADMIN: APPROVE PAYMENT =================
+app.post('/api/admin/payment/approve', auth, can('payments'), validate({ body: { paymentId: field.objectId() } }), async (req, res) => {
+    try {
+        const { paymentId } = req.body;
+        const payment = await approvePayment(paymentId, req.user.email);
+        await logAction(req.user.email, 'PAYMENT_APPROVED', `${payment._id} ${payment.fridgeId} for ${payment.userEmail}`, req.ip);
+        res.json({ message: 'Payment approved and fridge assigned' });
+    } catch (err) { res.status(err.status || 500).json({ error: err.message }); }
+});
+
+// ================= ADMIN: REJECT PAYMENT =================
+app.post('/api/admin/payment/reject', auth, can('payments'), validate({ body: { paymentId: field.objectId(), reason: field.string({ max: 500 }) } }), async (req, res) => {
+    try {
+        const { paymentId, reason } = req.body;
+        if (!reason || !String(reason).trim()) return res.status(400).json({ error: 'Rejection reason required' });
+        const payment = await Payment.findOneAndUpdate(
+            { _id: paymentId, approved: false, rejected: { $ne: true } },
+            { $set: { rejected: true, rejectedAt: new Date(), rejectedBy: req.user.email, rejectionReason: String(reason).trim() } },
+            { new: true }
+        );
+        if (!payment) return res.status(400).json({ error: 'Payment not found or no longer pending' });
+        await logAction(req.user.email, 'PAYMENT_REJECTED', `${payment._id} for ${payment.userEmail}: ${payment.rejectionReason}`, req.ip);
+        res.json({ message: 'Payment rejected' });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ================= ADMIN: GET ALL WITHDRAWALS =================
+app.get('/api/admin/withdrawals', auth, can('withdrawals'), async (req, res) => {
+    try {
+        const withdrawals = await Withdrawal.find().sort({ createdAt: -1 });
+        res.json({ withdrawals });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ================= ADMIN: APPROVE WITHDRAWAL =================
+// Settles the hold and, with B2C on, sends the money. Large amounts go through SENSITIVE_ACTIONS first.
+async function approveWithdrawal(withdrawalId, ctx) {
+    const wd = await Withdrawal.findById(withdrawalId);
+    if (!wd) throw approvalError('Withdrawal not found', 404);
+    if (wd.status !== 'requested') throw approvalError(`Withdrawal is already ${wd.status}`);
+
+    const user = await User.findOne({ email: wd.userEmail });
+    if (!user) throw approvalError('User not found', 404);
+    if (!(await payoutPhoneVerified(wd.userEmail, wd.phone))) throw approvalError(`${wd.userEmail} has not verified ${wd.phone} yet`);
+
+    try {
+        await mongoose.connection.transaction(async session => {
+            // Move the status first so a double click cannot settle twice
+            const fields = B2C_ENABLED ? { 'payout.state': 'queued' } : {};
+            const claimed = await transitionWithdrawal(wd._id, 'requested', 'approved', ctx.by, { fields, session });
+            if (!claimed) throw new Error('Already approved');
+
+            if (wd.held) {
+                // Settle the hold: money leaves the holds account, user earning is untouched
+                await writeLedgerPair({
+                    userEmail: user.email, account: LEDGER_REASONS.WITHDRAWAL_HOLD, amount: -wd.amount,
+                    reason: 'WITHDRAWAL', sourceType: 'withdrawal', sourceId: wd._id
+                }, session);
+                await User.updateOne({ email: user.email }, { $inc: { earningOnHold: -wd.amount } }, { session });
+            } else {
+                // Requested before holds existed: debit earning now
+                await postLedger({
+                    userEmail: user.email, amount: -wd.amount, reason: 'WITHDRAWAL',
+                    sourceType: 'withdrawal', sourceId: wd._id
+                }, { session, requireFunds: true });
+            }
+        });
+    } catch (settleErr) {
+        if (settleErr.code === 'INSUFFICIENT_FUNDS') throw approvalError('User has insufficient earnings');
+        if (settleErr.message === 'Already approved') throw approvalError('Already approved');
+        throw settleErr;
+    }
+    await logAction(ctx.by, 'WITHDRAWAL_APPROVED', `${wd._id} KES ${wd.amount} for ${wd.userEmail}` + approvalNote(ctx), ctx.ip);
+    const fee = wd.fee || getWithdrawalFee(wd.amount);
+    const netAmount = wd.netAmount || (wd.amount - fee);
+    if (B2C_ENABLED) {
+        const sent = await sendWithdrawalPayout(wd._id);
+        return {
+            message: sent?.payout?.state === 'sent'
+                ? `Withdrawal approved. M-Pesa payout of KES ${netAmount.toLocaleString()} to ${wd.phone} sent.`
+                : `Withdrawal approved. M-Pesa payout to ${wd.phone} failed and will be retried automatically.`,
+            payout: sent?.payout,
+            fee,
+            phone: wd.phone
+        };
+    }
+    return {
+        message: `Withdrawal approved. Send KES ${netAmount.toLocaleString()} to ${wd.phone} (KES ${wd.amount} requested minus KES ${fee} fee).`,
+        netAmount,
+        fee,
+        phone: wd.phone
+    };
+}
+
+app.post('/api/admin/withdrawal/approve', auth, can('withdrawals'), validate({ body: { withdrawalId: field.objectId(), reason: field.string({ optional: true, max: 500 }) } }), async (req, res) => {
+    try {
+        const proposal = await proposeIfRequired('WITHDRAWAL_APPROVE', req);
+        if (proposal) return res.status(202).json(proposal);
+        res.json(await approveWithdrawal(req.body.withdrawalId, { by: req.user.email, ip: req.ip }));
+    } catch (err) { res.status(err.status || 500).json({ error: err.message }); }
 });
 
-// ================= ADMIN: REJECT PAYMENT =================
-app.post('/api/admin/payment/reject', auth, async (req, res) => {
+// ================= ADMIN: REJECT WITHDRAWAL =================
+app.post('/api/admin/withdrawal/reject', auth, can('withdrawals'), validate({ body: { withdrawalId: field.objectId(), reason: field.string({ max: 500 }) } }), async (req, res) => {
     try {
-        if (req.user.email !== ADMIN_EMAIL) return res.status(403).json({ error: 'Admin only' });
-        const { paymentId } = req.body;
-        await Payment.findByIdAndDelete(paymentId);
-        res.json({ message: 'Payment rejected and removed' });
+        const { withdrawalId, reason } = req.body;
+        if (!reason || !String(reason).trim()) return res.status(400).json({ error: 'Rejection reason required' });
+
+        const wd = await mongoose.connection.transaction(async session => {
+            const rejected = await transitionWithdrawal(withdrawalId, 'requested', 'rejected', req.user.email, { note: String(reason).trim(), session });
+            if (rejected) await releaseWithdrawalHold(rejected, session);
+            return rejected;
+        });
+        if (!wd) return res.status(400).json({ error: 'Withdrawal not found or no longer pending' });
+        await logAction(req.user.email, 'WITHDRAWAL_REJECTED', `${wd._id} for ${wd.userEmail}: ${wd.rejectionReason}`, req.ip);
+        res.json({ message: 'Withdrawal rejected' });
     } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-// ================= ADMIN: GET ALL WITHDRAWALS =================
-app.get('/api/admin/withdrawals', auth, async (req, res) => {
+// ================= ADMIN: MARK WITHDRAWAL PAID =================
+app.post('/api/admin/withdrawal/paid', auth, can('withdrawals'), validate({ body: { withdrawalId: field.objectId(), note: field.string({ optional: true, max: 500 }) } }), async (req, res) => {
     try {
-        if (req.user.email !== ADMIN_EMAIL) return res.status(403).json({ error: 'Admin only' });
-        const withdrawals = await Withdrawal.find().sort({ createdAt: -1 });
-        res.json({ withdrawals });
+        const { withdrawalId, note } = req.body;
+        const wd = await transitionWithdrawal(withdrawalId, 'approved', 'paid', req.user.email, { note: note || '' });
+        if (!wd) return res.status(400).json({ error: 'Withdrawal not found or not approved' });
+        await logAction(req.user.email, 'WITHDRAWAL_PAID', `${wd._id} KES ${wd.netAmount} to ${wd.phone}`, req.ip);
+        res.json({ message: 'Withdrawal marked as paid' });
     } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-// ================= ADMIN: APPROVE WITHDRAWAL =================
-app.post('/api/admin/withdrawal/approve', auth, async (req, res) => {
-    try {
-        if (req.user.email !== ADMIN_EMAIL) return res.status(403).json({ error: 'Admin only' });
-        const { withdrawalId } = req.body;
-        const wd = await Withdrawal.findById(withdrawalId);
-        if (!wd) return res.status(404).json({ error: 'Withdrawal not found' });
-        if (wd.approved) return res.status(400).json({ error: 'Already approved' });
+// ================= M-PESA STATEMENT RECONCILIATION =================
+// Money in is matched to Payment by receipt and amount, money out to Withdrawal by
+// B2C receipt, or by phone and net amount when the payout was sent by hand.
+async function reconcileStatement(lines) {
+    const times = lines.map(l => l.completedAt).filter(Boolean).map(d => d.getTime());
+    if (!times.length) throw new Error('Statement has no completed transactions');
+    const periodStart = new Date(Math.min(...times));
+    const periodEnd = new Date(Math.max(...times));
+
+    const matched = [], unrecordedReceipts = [], amountMismatches = [], unrecordedPayouts = [];
+    const seenPayments = new Set();
+
+    // ── Money in ──
+    const inLines = lines.filter(l => l.paidIn > 0);
+    const payments = await Payment.find({ transactionCode: { $in: inLines.map(l => l.receipt) } });
+    const byCode = new Map(payments.map(p => [p.transactionCode, p]));
+    for (const line of inLines) {
+        const p = byCode.get(line.receipt);
+        const item = { receipt: line.receipt, amount: line.paidIn, completedAt: line.completedAt, otherParty: line.otherParty };
+        if (!p) { unrecordedReceipts.push(item); continue; }
+        seenPayments.add(String(p._id));
+        const ref = { ...item, paymentId: p._id, userEmail: p.userEmail, approved: p.approved, rejected: p.rejected };
+        if (Math.ceil(p.fridgePrice || 0) !== line.paidIn) amountMismatches.push({ ...ref, expected: p.fridgePrice });
+        else matched.push({ type: 'payment', ...ref });
+    }
 
-        const user = await User.findOne({ email: wd.userEmail });
-        if (!user) return res.status(404).json({ error: 'User not found' });
-        if (user.earning < wd.amount) return res.status(400).json({ error: 'User has insufficient earnings' });
+    const approvedInPeriod = await Payment.find({ approved: true, createdAt: { $gte: periodStart, $lte: periodEnd } });
+    const approvedNotReceived = approvedInPeriod
+        .filter(p => !seenPayments.has(String(p._id)))
+        .map(p => ({ paymentId: p._id, userEmail: p.userEmail, amount: p.fridgePrice, transactionCode: p.transactionCode || '', createdAt: p.createdAt }));
+
+    // ── Money out (only lines paid to a phone; charges and bank transfers are skipped) ──
+    const outLines = lines.filter(l => l.withdrawn > 0 && l.phone);
+    const windowStart = new Date(periodStart.getTime() - 7 * 24 * 60 * 60 * 1000);
+    const withdrawals = await Withdrawal.find({
+        status: { $in: ['approved', 'paid'] },
+        $or: [{ approvedAt: { $gte: windowStart, $lte: periodEnd } }, { approvedAt: null, createdAt: { $gte: windowStart, $lte: periodEnd } }]
+    });
+    const usedWd = new Set();
+    for (const line of outLines) {
+        let wd = withdrawals.find(w => w.payout?.receipt === line.receipt);
+        if (!wd) {
+            wd = withdrawals.find(w => !usedWd.has(String(w._id)) && !w.payout?.receipt &&
+                Number(w.netAmount) === line.withdrawn && statementPhoneMatches(line.phone, w.phone));
+        }
+        const item = { receipt: line.receipt, amount: line.withdrawn, completedAt: line.completedAt, otherParty: line.otherParty };
+        if (!wd) { unrecordedPayouts.push(item); continue; }
+        usedWd.add(String(wd._id));
+        matched.push({ type: 'withdrawal', ...item, withdrawalId: wd._id, userEmail: wd.userEmail, status: wd.status });
+    }
+    const payoutsNotSent = withdrawals
+        .filter(w => w.status === 'paid' && !usedWd.has(String(w._id)) && w.paidAt && w.paidAt >= periodStart && w.paidAt <= periodEnd)
+        .map(w => ({ withdrawalId: w._id, userEmail: w.userEmail, phone: w.phone, netAmount: w.netAmount, paidAt: w.paidAt }));
+
+    const sum = (list, key) => list.reduce((t, i) => t + (Number(i[key]) || 0), 0);
+    const summary = {
+        lines: lines.length,
+        totalPaidIn: sum(inLines, 'paidIn'),
+        totalPaidOut: sum(outLines, 'withdrawn'),
+        matched: matched.length,
+        unrecordedReceipts: unrecordedReceipts.length,
+        unrecordedReceiptsValue: sum(unrecordedReceipts, 'amount'),
+        amountMismatches: amountMismatches.length,
+        approvedNotReceived: approvedNotReceived.length,
+        approvedNotReceivedValue: sum(approvedNotReceived, 'amount'),
+        unrecordedPayouts: unrecordedPayouts.length,
+        payoutsNotSent: payoutsNotSent.length
+    };
+    return { periodStart, periodEnd, summary, matched, unrecordedReceipts, amountMismatches, approvedNotReceived, unrecordedPayouts, payoutsNotSent };
+}
 
-        user.earning -= wd.amount;
-        await user.save();
-        wd.approved = true;
-        await wd.save();
-        const fee = wd.fee || getWithdrawalFee(wd.amount);
-        const netAmount = wd.netAmount || (wd.amount - fee);
-        res.json({
-            message: `Withdrawal approved. Send KES ${netAmount.toLocaleString()} to ${wd.phone} (KES ${wd.amount} requested minus KES ${fee} fee).`,
-            netAmount,
-            fee,
-            phone: wd.phone
-        });
+// ================= ADMIN: UPLOAD M-PESA STATEMENT =================
+// Body is the raw CSV export (Content-Type: text/csv), file name in ?name=
+app.post('/api/admin/reconcile/statement', auth, can('payments'),
+    validate({ query: { name: field.string({ optional: true, max: 200 }) } }),
+    bodyParser.text({ type: ['text/csv', 'text/plain', 'application/vnd.ms-excel'], limit: '5mb' }),
+    async (req, res) => {
+        try {
+            if (typeof req.body !== 'string' || !req.body.trim()) return res.status(400).json({ error: 'Upload the statement CSV as the request body' });
+
+            let lines;
+            try { lines = parseMpesaStatement(req.body); }
+            catch (parseErr) { return res.status(400).json({ error: parseErr.message }); }
+
+            const report = await reconcileStatement(lines);
+            const saved = await Reconciliation.create({ uploadedBy: req.user.email, fileName: req.query.name || '', ...report });
+            await logAction(req.user.email, 'STATEMENT_RECONCILED', `${saved._id}: ${lines.length} lines, ${report.summary.matched} matched`, req.ip);
+            res.json({ reconciliationId: saved._id, ...report });
+        } catch (err) { res.status(500).json({ error: err.message }); }
+    });
+
+// ================= ADMIN: PAST RECONCILIATIONS =================
+app.get('/api/admin/reconciliations', auth, can('payments'), async (req, res) => {
+    try {
+        const reports = await Reconciliation.find({}, 'uploadedBy fileName periodStart periodEnd summary createdAt').sort({ createdAt: -1 }).limit(50);
+        res.json({ reports });
     } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-// ================= ADMIN: REJECT WITHDRAWAL =================
-app.post('/api/admin/withdrawal/reject', auth, async (req, res) => {
+app.get('/api/admin/reconciliations/:id', auth, can('payments'), validate({ params: { id: field.objectId() } }), async (req, res) => {
     try {
-        if (req.user.email !== ADMIN_EMAIL) return res.status(403).json({ error: 'Admin only' });
-        const { withdrawalId } = req.body;
-        await Withdrawal.findByIdAndDelete(withdrawalId);
-        res.json({ message: 'Withdrawal rejected and removed' });
+        const report = await Reconciliation.findById(req.params.id);
+        if (!report) return res.status(404).json({ error: 'Report not found' });
+        res.json({ report });
     } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
+// Adds fridgeCount (fridges not revoked) to each user for the admin lists
+async function withFridgeCounts(users) {
+    const counts = await Holding.aggregate([
+        { $match: { userEmail: { $in: users.map(u => u.email) }, status: { $ne: 'revoked' } } },
+        { $group: { _id: '$userEmail', n: { $sum: 1 } } }
+    ]);
+    const byEmail = new Map(counts.map(c => [c._id, c.n]));
+    return users.map(u => ({ ...u, fridgeCount: byEmail.get(u.email) || 0 }));
+}
+
 // ================= ADMIN: GET ALL USERS =================
-app.get('/api/admin/users', auth, async (req, res) => {
+app.get('/api/admin/users', auth, can('users:read'), async (req, res) => {
     try {
-        if (req.user.email !== ADMIN_EMAIL) return res.status(403).json({ error: 'Admin only' });
-        const users = await User.find({}, '-password').sort({ createdAt: -1 });
-        res.json({ users });
+        const users = await User.find({}, '-password').sort({ createdAt: -1 }).lean();
+        res.json({ users: await withFridgeCounts(users) });
     } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
 // ================= ADMIN: EDIT USER BALANCE =================
-app.post('/api/admin/user/edit', auth, async (req, res) => {
+async function editUserBalance({ email, balance, earning }, ctx) {
+    // The user, the ledger posting and its log commit together or not at all
+    await mongoose.connection.transaction(async session => {
+        const user = await User.findOne({ email }).session(session);
+        if (!user) throw approvalError('User not found', 404);
+        if (balance !== undefined) user.balance = Number(balance);
+        await user.save({ session });
+        if (earning === undefined) return;
+        const delta = Number(earning) - (user.earning || 0);
+        if (delta === 0) return;
+        // The posting points at the log, which is only written once the posting has gone through
+        const logId = new mongoose.Types.ObjectId();
+        await postLedger({
+            userEmail: email, amount: delta, reason: 'ADMIN_ADJUSTMENT',
+            sourceType: 'activitylog', sourceId: logId
+        }, { session });
+        await ActivityLog.create([{
+            _id: logId,
+            action: 'EARNING_ADJUSTED',
+            adminEmail: ctx.by,
+            details: `${email}: ${user.earning} -> ${Number(earning)}` + approvalNote(ctx)
+        }], { session });
+    });
+    return { message: 'User updated successfully' };
+}
+
+app.post('/api/admin/user/edit', auth, can('users:write'), validate({ body: {
+    email: field.email(),
+    balance: field.number({ optional: true }),
+    earning: field.number({ optional: true }),
+    reason: field.string({ optional: true, max: 500 })
+} }), async (req, res) => {
     try {
-        if (req.user.email !== ADMIN_EMAIL) return res.status(403).json({ error: 'Admin only' });
         const { email, balance, earning } = req.body;
-        if (!email) return res.status(400).json({ error: 'Email required' });
+        const proposal = await proposeIfRequired('USER_EDIT', req);
+        if (proposal) return res.status(202).json(proposal);
+        res.json(await editUserBalance({ email, balance, earning }, { by: req.user.email, ip: req.ip }));
+    } catch (err) { res.status(err.status || 500).json({ error: err.message }); }
+});
+
+// ================= ADMIN: USER LEDGER =================
+app.get('/api/admin/ledger/:email', auth, can('ledger:read'), async (req, res) => {
+    try {
+        const user = await User.findOne({ email: req.params.email }, 'email earning');
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        const entries = await LedgerEntry.find({ account: userAccount(user.email) }).sort({ createdAt: -1 }).limit(500);
+        const balance = await ledgerBalance(user.email);
+        res.json({ entries, ledgerBalance: balance, cachedEarning: user.earning, inSync: balance === user.earning });
+    } catch(err) { res.status(500).json({ error: err.message }); }
+});
+
+// ================= ADMIN: RECOMPUTE CACHED EARNING FROM LEDGER =================
+app.post('/api/admin/ledger/recompute', auth, can('ledger'), validate({ body: { email: field.email() } }), async (req, res) => {
+    try {
+        const { email } = req.body;
         const user = await User.findOne({ email });
         if (!user) return res.status(404).json({ error: 'User not found' });
-        if (balance !== undefined) user.balance = Number(balance);
-        if (earning !== undefined) user.earning = Number(earning);
-        await user.save();
-        res.json({ message: 'User updated successfully' });
-    } catch (err) { res.status(500).json({ error: err.message }); }
+        const balance = await ledgerBalance(email);
+        const before = user.earning;
+        await User.updateOne({ email }, { $set: { earning: balance } });
+        await ActivityLog.create({
+            action: 'LEDGER_RECOMPUTE',
+            adminEmail: req.user.email,
+            details: `${email}: cached ${before} -> ledger ${balance}`
+        });
+        res.json({ message: 'Earning recomputed from ledger', before, earning: balance });
+    } catch(err) { res.status(500).json({ error: err.message }); }
+});
+
+// ================= ONE-TIME FIX: Opening ledger balances for existing users =================
+app.post('/api/admin/ledger/open-balances', auth, can('ledger'), validate({ body: {} }), async (req, res) => {
+    try {
+        const users = await User.find({}, 'email earning');
+        let opened = 0, skipped = 0;
+        for (const user of users) {
+            const hasOpening = await LedgerEntry.exists({ account: userAccount(user.email), reason: 'OPENING_BALANCE' });
+            const gap = (user.earning || 0) - await ledgerBalance(user.email);
+            if (hasOpening || gap === 0) { skipped++; continue; }
+            // The gap is earning from before the ledger existed; it is already on the user,
+            // so only the entries are written
+            await writeLedgerPair({ userEmail: user.email, amount: gap, reason: 'OPENING_BALANCE' });
+            opened++;
+        }
+        res.json({ message: `Opened ${opened} ledgers, skipped ${skipped} users`, opened, skipped });
+    } catch(err) { res.status(500).json({ error: err.message }); }
 });
 
 // ================= REDEEM OFFER CODE =================
-app.post('/api/offer/redeem', auth, async (req, res) => {
+app.post('/api/offer/redeem', auth, validate({ body: { code: field.string({ max: 50 }) } }), async (req, res) => {
     try {
         const { code } = req.body;
         if (!code) return res.status(400).json({ error: 'No code provided' });
@@ -1045,19 +3291,25 @@ app.post('/api/offer/redeem', auth, async (req, res) => {
             return res.status(400).json({ error: 'You must deposit at least KES 100 (buy a normal fridge) before redeeming offer codes.' });
         }
 
-        const offer = await OfferCode.findOne({ code });
+        // The delete is the claim: of two redeems of one code only one gets the document back,
+        // and the credit commits with it or the code is not used up
+        const offer = await mongoose.connection.transaction(async session => {
+            const claimed = await OfferCode.findOneAndDelete({ code }, { session });
+            if (!claimed) return null;
+            await postLedger({
+                userEmail: user.email, amount: claimed.amount, reason: 'OFFER_CODE',
+                sourceType: 'offercode', sourceId: claimed._id, memo: code
+            }, { session });
+            return claimed;
+        });
         if (!offer) return res.status(404).json({ error: 'Invalid offer code' });
 
-        user.earning += offer.amount;
-        await user.save();
-        await OfferCode.findOneAndDelete({ code });
-
         res.json({ message: `Successfully redeemed! KES ${offer.amount} added to your earnings.` });
     } catch (err) { res.status(500).json({ error: 'Server error' }); }
 });
 
 // ================= OFFER: FRONTEND PINGS THIS WHEN TIMER ENDS =================
-app.post('/api/offer/expired/:fridgeId', auth, async (req, res) => {
+app.post('/api/offer/expired/:fridgeId', auth, validate({ body: {} }), async (req, res) => {
     try {
         await checkAndCreditOfferEarnings();
         res.json({ message: 'Earnings checked and credited if due' });
@@ -1067,9 +3319,8 @@ app.post('/api/offer/expired/:fridgeId', auth, async (req, res) => {
 });
 
 // ================= ADMIN: OFFER CODE =================
-app.post('/api/admin/offercode', auth, async (req, res) => {
+app.post('/api/admin/offercode', auth, can('catalog'), validate({ body: { code: field.string({ max: 50 }), amount: field.number({ min: 1 }) } }), async (req, res) => {
     try {
-        if (req.user.email !== ADMIN_EMAIL) return res.status(403).json({ error: 'Admin only' });
         const { code, amount } = req.body;
         if (!code || !amount) return res.status(400).json({ error: 'Missing fields' });
 
@@ -1083,216 +3334,609 @@ app.post('/api/admin/offercode', auth, async (req, res) => {
 });
 
 // ================= ADMIN: UNLOCK / LOCK FRIDGE =================
-app.post('/api/admin/unlock', auth, async (req, res) => {
+app.post('/api/admin/unlock', auth, can('catalog'), validate({ body: {
+    fridgeId: field.string({ max: 40 }),
+    price: field.number({ min: 0 }),
+    dailyEarn: field.number({ min: 0 }),
+    durationHrs: field.number({ min: 0 })
+} }), async (req, res) => {
     try {
-        if (req.user.email !== ADMIN_EMAIL) return res.status(403).json({ error: 'Admin only' });
         const { fridgeId, price, dailyEarn, durationHrs } = req.body;
 
         const fridge = FRIDGES.find(f => f.id === fridgeId && fridgeId.startsWith('offer'));
         if (!fridge) return res.status(400).json({ error: 'Invalid fridge' });
 
-        fridge.locked = false;
-        fridge.price = price;
-        fridge.dailyEarn = dailyEarn;
-        fridge.durationHrs = durationHrs;
-        fridge.startTime = new Date();
-        await saveFridgeState(fridge);
+        await addPlanVersion(fridge.id, {
+            price: Number(price), dailyEarn: Number(dailyEarn), durationHrs: Number(durationHrs)
+        }, req.user.email, { locked: false, startTime: new Date() });
 
         res.json({ message: `${fridge.name} unlocked for ${durationHrs} hours` });
     } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-app.post('/api/admin/lock', auth, async (req, res) => {
+app.post('/api/admin/lock', auth, can('catalog'), validate({ body: { fridgeId: field.string({ max: 40 }) } }), async (req, res) => {
     try {
-        if (req.user.email !== ADMIN_EMAIL) return res.status(403).json({ error: 'Admin only' });
         const { fridgeId } = req.body;
 
         const fridge = FRIDGES.find(f => f.id === fridgeId && fridgeId.startsWith('offer'));
         if (!fridge) return res.status(400).json({ error: 'Invalid fridge' });
 
-        fridge.locked = true;
-        fridge.price = 0;
-        fridge.dailyEarn = 0;
-        fridge.durationHrs = 0;
-        fridge.startTime = null;
-        await saveFridgeState(fridge);
+        await savePlanState(fridge.id, { locked: true, startTime: null });
 
         res.json({ message: `${fridge.name} locked` });
     } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
+// ================= ADMIN: PLAN CATALOG =================
+const PLAN_ID_RE = /^[a-z0-9-]{1,20}$/i;
+const PLAN_IMAGE_TYPES = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp' };
+
+// Term fields a plan create/update accepts; planTermsFrom picks out the ones present
+const PLAN_TERM_FIELDS = {
+    name: field.string({ optional: true, max: 100 }),
+    price: field.number({ optional: true, min: 0 }),
+    dailyEarn: field.number({ optional: true, min: 0 }),
+    durationHrs: field.number({ optional: true, min: 0 }),
+    img: field.string({ optional: true, max: 200 })
+};
+
+// Picks and checks the term fields present in a request body
+function planTermsFrom(body) {
+    const terms = {};
+    if (body.name !== undefined) {
+        terms.name = String(body.name).trim();
+        if (!terms.name) throw approvalError('Name required');
+    }
+    for (const key of ['price', 'dailyEarn', 'durationHrs']) {
+        if (body[key] === undefined) continue;
+        terms[key] = Number(body[key]);
+        if (!Number.isFinite(terms[key]) || terms[key] < 0) throw approvalError(`Invalid ${key}`);
+    }
+    if (body.img !== undefined) terms.img = String(body.img);
+    return terms;
+}
+
+app.get('/api/admin/plans', auth, can('catalog'), async (req, res) => {
+    try {
+        const plans = await Plan.find().sort({ retired: 1, sortOrder: 1, createdAt: 1 });
+        res.json({ plans });
+    } catch(err) { res.status(500).json({ error: err.message }); }
+});
+
+app.post('/api/admin/plans', auth, can('catalog'), validate({ body: {
+    planId: field.string({ max: 20 }),
+    ...PLAN_TERM_FIELDS,
+    locked: field.boolean({ optional: true })
+} }), async (req, res) => {
+    try {
+        const planId = String(req.body.planId || '').trim();
+        if (!PLAN_ID_RE.test(planId)) return res.status(400).json({ error: 'Plan id must be 1-20 letters, digits or dashes' });
+        const terms = planTermsFrom(req.body);
+        if (!terms.name || terms.price === undefined || terms.dailyEarn === undefined) {
+            return res.status(400).json({ error: 'Name, price and dailyEarn required' });
+        }
+        if (await Plan.exists({ planId })) return res.status(400).json({ error: 'Plan id already exists' });
+
+        const last = await Plan.findOne().sort({ sortOrder: -1 });
+        const plan = await Plan.create({
+            planId,
+            sortOrder: last ? last.sortOrder + 1 : 0,
+            locked: !!req.body.locked,
+            versions: [{ version: 1, durationHrs: 0, img: '', ...terms, createdBy: req.user.email }]
+        });
+        await refreshPlans();
+        await logAction(req.user.email, 'PLAN_CREATED', `${planId}: KES ${terms.price}, ${terms.dailyEarn}/day`, req.ip);
+        res.json({ message: `Plan ${planId} created`, plan });
+    } catch(err) { res.status(err.status || 500).json({ error: err.message }); }
+});
+
+app.put('/api/admin/plans/:planId', auth, can('catalog'), validate({ body: {
+    ...PLAN_TERM_FIELDS,
+    locked: field.boolean({ optional: true }),
+    sortOrder: field.integer({ optional: true })
+} }), async (req, res) => {
+    try {
+        const existing = await Plan.findOne({ planId: req.params.planId });
+        if (!existing) return res.status(404).json({ error: 'Plan not found' });
+        if (existing.retired) return res.status(400).json({ error: 'Plan is retired' });
+
+        const state = {};
+        if (req.body.locked !== undefined) state.locked = !!req.body.locked;
+        if (req.body.sortOrder !== undefined) state.sortOrder = Number(req.body.sortOrder) || 0;
+        const plan = await addPlanVersion(existing.planId, planTermsFrom(req.body), req.user.email, state);
+        await logAction(req.user.email, 'PLAN_UPDATED', `${plan.planId} now v${plan.version}`, req.ip);
+        res.json({ message: `Plan ${plan.planId} is at version ${plan.version}`, plan });
+    } catch(err) { res.status(err.status || 500).json({ error: err.message }); }
+});
+
+// Retired plans can no longer be bought; fridges already owned keep earning on their own terms
+app.post('/api/admin/plans/:planId/retire', auth, can('catalog'), validate({ body: {} }), async (req, res) => {
+    try {
+        const plan = await Plan.findOneAndUpdate(
+            { planId: req.params.planId, retired: false },
+            { $set: { retired: true, locked: true, retiredAt: new Date(), retiredBy: req.user.email } },
+            { new: true }
+        );
+        if (!plan) return res.status(404).json({ error: 'Plan not found or already retired' });
+        await refreshPlans();
+        await logAction(req.user.email, 'PLAN_RETIRED', plan.planId, req.ip);
+        res.json({ message: `Plan ${plan.planId} retired` });
+    } catch(err) { res.status(500).json({ error: err.message }); }
+});
+
+// Body is the raw image (Content-Type image/jpeg, image/png or image/webp). Saved under
+// public/images and recorded as a new plan version. Only the path is validated: the body is
+// bytes, checked below by type and magic number.
+app.post('/api/admin/plans/:planId/image', auth, can('catalog'),
+    validate({ params: { planId: field.string({ max: 20 }) } }),
+    bodyParser.raw({ type: Object.keys(PLAN_IMAGE_TYPES), limit: '3mb' }),
+    async (req, res) => {
+        try {
+            const ext = PLAN_IMAGE_TYPES[(req.headers['content-type'] || '').split(';')[0].trim()];
+            if (!ext || !Buffer.isBuffer(req.body) || !req.body.length) {
+                return res.status(400).json({ error: 'Upload a JPEG, PNG or WebP image' });
+            }
+            const head = req.body.subarray(0, 12);
+            const looksRight = ext === 'jpg' ? head[0] === 0xff && head[1] === 0xd8
+                : ext === 'png' ? head.toString('hex', 0, 4) === '89504e47'
+                : head.toString('ascii', 0, 4) === 'RIFF' && head.toString('ascii', 8, 12) === 'WEBP';
+            if (!looksRight) return res.status(400).json({ error: 'File content does not match its type' });
+
+            const existing = await Plan.findOne({ planId: req.params.planId });
+            if (!existing) return res.status(404).json({ error: 'Plan not found' });
+
+            const fileName = `plan-${existing.planId}-v${existing.version + 1}-${Date.now()}.${ext}`;
+            const filePath = path.join(__dirname, 'public', 'images', fileName);
+            await fs.promises.writeFile(filePath, req.body);
+            let plan;
+            try {
+                plan = await addPlanVersion(existing.planId, { img: 'images/' + fileName }, req.user.email);
+            } catch (err) {
+                // No version points at the file (e.g. a concurrent edit got the 409), so do not keep it
+                await fs.promises.unlink(filePath).catch(() => {});
+                throw err;
+            }
+            await logAction(req.user.email, 'PLAN_IMAGE', `${plan.planId} v${plan.version}: ${fileName}`, req.ip);
+            res.json({ message: 'Image uploaded', img: 'images/' + fileName, plan });
+        } catch(err) { res.status(err.status || 500).json({ error: err.message }); }
+    }
+);
+
 // ================= DAILY EARNINGS & AUTO-LOCK OFFERS =================
+// Both jobs stream users through a cursor and write each batch with bulkWrite inside one
+// transaction, so memory stays flat and a batch is either fully credited or not at all.
+const EARNINGS_BATCH_SIZE = Number(process.env.EARNINGS_BATCH_SIZE || 200);
+
+// Reads a cursor in arrays of EARNINGS_BATCH_SIZE
+async function* inBatches(cursor) {
+    let batch = [];
+    for await (const doc of cursor) {
+        batch.push(doc);
+        if (batch.length >= EARNINGS_BATCH_SIZE) {
+            yield batch;
+            batch = [];
+        }
+    }
+    if (batch.length) yield batch;
+}
+
+// ── Mutex flag so a slow minute does not overlap the next one ──
+let offersRunning = false;
+
 async function checkAndCreditOfferEarnings() {
+    if (offersRunning) return;
+    offersRunning = true;
     try {
-        const now = new Date();
-        const users = await User.find({ 'fridges.0': { $exists: true } });
-
-        for (const user of users) {
-            let credited = false;
-            for (let i = 0; i < user.fridges.length; i++) {
-                const f = user.fridges[i];
-                if (!f.id || !f.id.startsWith('offer')) continue;
-                if (f.earningAdded) continue;
-                if (!f.endTime) continue;
-                if (now < new Date(f.endTime)) continue;
-
-                let amount = f.dailyEarn || 0;
+        const now = earnings.now();
+        // Only active offer holdings whose window has ended and are not yet paid (indexed)
+        const cursor = Holding.find({
+            status: 'active', earningAdded: { $ne: true }, endTime: { $lte: now }, fridgeId: /^offer/
+        }).sort({ _id: 1 }).lean().cursor();
+
+        for await (const batch of inBatches(cursor)) {
+            const holdingOps = [];
+            const earned = new Map();
+            const ledgerDocs = [];
+            const credited = [];
+            for (const h of batch) {
+                if (!earnings.offerDue(h, now)) continue;
+                let amount = h.dailyEarn || 0;
                 if (amount === 0) {
-                    const pmt = await Payment.findOne({
-                        userEmail: user.email,
-                        fridgeId: f.id,
-                        approved: true
-                    }).sort({ createdAt: -1 });
+                    const pmt = h.paymentId ? await Payment.findById(h.paymentId) : null;
                     if (pmt && pmt.fridgeDailyEarn) amount = pmt.fridgeDailyEarn;
                 }
 
-                user.earning += amount;
-                user.fridges[i].earningAdded = true;
-                user.markModified('fridges');
-                credited = true;
-                console.log(`✅ Credited KES ${amount} to ${user.email} for ${f.id}`);
+                // The earningAdded filter makes each offer pay out exactly once
+                holdingOps.push({ updateOne: {
+                    filter: { _id: h._id, status: 'active', earningAdded: { $ne: true } },
+                    update: {
+                        $set: { earningAdded: true, status: 'expired', statusAt: now },
+                        $push: { history: { at: now, action: 'expired', by: 'system', note: `Paid KES ${amount}` } }
+                    }
+                } });
+                if (amount) earned.set(h.userEmail, (earned.get(h.userEmail) || 0) + amount);
+                const pair = ledgerPairDocs({
+                    userEmail: h.userEmail, amount, reason: 'OFFER_EARNING',
+                    sourceType: 'fridge', sourceId: h._id, memo: h.fridgeId
+                });
+                if (pair) ledgerDocs.push(...pair.docs);
+                credited.push(`KES ${amount} to ${h.userEmail} for ${h.fridgeId}`);
+            }
+            if (!holdingOps.length) continue;
+
+            try {
+                await mongoose.connection.transaction(async session => {
+                    const result = await Holding.bulkWrite(holdingOps, { session, ordered: true });
+                    if (result.modifiedCount !== holdingOps.length) throw new Error('Offer already credited by another process');
+                    if (earned.size) {
+                        await User.bulkWrite([...earned].map(([email, amount]) => ({
+                            updateOne: { filter: { email }, update: { $inc: { earning: amount } } }
+                        })), { session });
+                    }
+                    if (ledgerDocs.length) await LedgerEntry.insertMany(ledgerDocs, { session });
+                });
+                credited.forEach(c => console.log(`✅ Credited ${c}`));
+            } catch (err) {
+                // Nothing in this batch was written; the next minute picks it up again
+                console.error('Offer earnings batch failed:', err.message);
             }
-            if (credited) await user.save();
         }
 
         for (const fridge of FRIDGES) {
             if (!fridge.id.startsWith('offer') || fridge.locked) continue;
-            if (fridge.startTime && fridge.durationHrs) {
-                const endTime = new Date(fridge.startTime).getTime() + fridge.durationHrs * 3600 * 1000;
-                if (now.getTime() >= endTime) {
-                    fridge.locked = true;
-                    fridge.price = 0;
-                    fridge.dailyEarn = 0;
-                    fridge.durationHrs = 0;
-                    fridge.startTime = null;
-                    await saveFridgeState(fridge);
-                    console.log(`🔒 Auto-locked ${fridge.id}`);
-                }
+            if (earnings.offerExpired(fridge, now)) {
+                await savePlanState(fridge.id, { locked: true, startTime: null });
+                console.log(`🔒 Auto-locked ${fridge.id}`);
             }
         }
     } catch (err) {
         console.error('Offer earnings check error:', err);
+    } finally {
+        offersRunning = false;
     }
 }
 
 // ── Mutex flag to prevent concurrent runDailyEarnings calls ──
 let earningsRunning = false;
 
-// ── DAILY EARNINGS: 12:00 AM Kenya time (UTC+3 = 21:00 UTC) for normal fridges ──
-async function runDailyEarnings() {
+// Active holdings that earn daily, in _id order so a run can resume after `after`
+function earningHoldingsCursor(after) {
+    const filter = { status: 'active', dailyEarn: { $gt: 0 } };
+    if (after) filter._id = { $gt: after };
+    return Holding.find(filter, 'userEmail fridgeId dailyEarn boughtAt lastEarnedAt status').sort({ _id: 1 }).lean().cursor();
+}
+
+// Works out what one batch of holdings is owed, without writing anything.
+// Returns [{ userEmail, items: [{ fridgeRef, fridgeId, date, amount, prevLastEarnedAt }] }]
+async function planEarningsBatch(holdings, todayKenya) {
+    const due = earnings.dueDailyItems(holdings, new Set(), todayKenya);
+    if (!due.length) return [];
+
+    // ✅ DEDUP: drop days that already have a record (e.g. lastEarnedAt failed to save)
+    const already = await EarningDay.find(
+        { fridgeRef: { $in: due.map(i => i.fridgeRef) }, date: { $in: [...new Set(due.map(i => i.date))] } },
+        'fridgeRef date'
+    ).lean();
+    const done = new Set(already.map(e => e.fridgeRef + '|' + e.date));
+
+    const byUser = new Map();
+    for (const h of holdings) {
+        const items = earnings.dueDailyItems([h], done, todayKenya);
+        if (!items.length) continue;
+        if (!byUser.has(h.userEmail)) byUser.set(h.userEmail, []);
+        byUser.get(h.userEmail).push(...items);
+    }
+    return [...byUser].map(([userEmail, items]) => ({ userEmail, items }));
+}
+
+// Splits a batch's plan so no transaction carries more than EARNINGS_BATCH_SIZE fridge-days:
+// a fridge that missed months is credited over several transactions, oldest days first.
+// `finished` holds the fridges whose last due day is in that chunk.
+function chunkEarningsPlan(plan) {
+    const chunks = [];
+    let current = { plan: [], finished: new Set(), size: 0 };
+    for (const { userEmail, items } of plan) {
+        let entry = null;
+        items.forEach((item, i) => {
+            if (current.size >= EARNINGS_BATCH_SIZE) {
+                chunks.push(current);
+                current = { plan: [], finished: new Set(), size: 0 };
+                entry = null;
+            }
+            if (!entry) current.plan.push(entry = { userEmail, items: [] });
+            entry.items.push(item);
+            current.size++;
+            // A holding's days are planned together, so the next item tells whether this was its last
+            if (!items[i + 1] || items[i + 1].fridgeRef !== item.fridgeRef) current.finished.add(item.fridgeRef);
+        });
+    }
+    if (current.size) chunks.push(current);
+    return chunks;
+}
+
+// Credits one chunk: ledger pairs, EarningDay records, lastEarnedAt and the run's journal and
+// checkpoint all commit together. lastEarnedAt only moves for fridges in `chunk.finished`,
+// so it never passes a day that has not been credited.
+async function creditEarningsBatch(run, chunk, now, checkpoint) {
+    const plan = chunk.plan;
+    await mongoose.connection.transaction(async session => {
+        // A re-credit frees the reversed day records it is about to replace
+        if (chunk.release) await EarningDay.deleteMany({ _id: { $in: chunk.release }, reversedAt: { $ne: null } }, { session });
+        const userOps = [];
+        const ledgerDocs = [];
+        const dayDocs = [];
+        const runItems = [];
+        for (const { userEmail, items } of plan) {
+            for (const item of items) {
+                const pair = ledgerPairDocs({
+                    userEmail, amount: item.amount, reason: 'DAILY_EARNING',
+                    sourceType: 'fridge', sourceId: item.fridgeRef, memo: `${item.fridgeId} ${item.date}`
+                });
+                ledgerDocs.push(...pair.docs);
+                dayDocs.push({
+                    userEmail, fridgeRef: item.fridgeRef, fridgeId: item.fridgeId,
+                    date: item.date, amount: item.amount, ledgerTxnId: pair.txnId, runId: run._id
+                });
+                runItems.push({ runId: run._id, userEmail, ...item, ledgerTxnId: pair.txnId });
+            }
+            userOps.push({ updateOne: {
+                filter: { email: userEmail },
+                update: { $inc: { earning: items.reduce((t, i) => t + i.amount, 0) } }
+            } });
+        }
+        if (userOps.length) {
+            await User.bulkWrite(userOps, { session });
+            // mark holdings whose every due day is now paid as credited up to today
+            const done = [...new Set(runItems.map(i => i.fridgeRef))].filter(ref => chunk.finished.has(ref));
+            if (done.length) await Holding.updateMany({ _id: { $in: done } }, { $set: { lastEarnedAt: now } }, { session });
+            await LedgerEntry.insertMany(ledgerDocs, { session });
+            // the unique {fridgeRef, date} index aborts the batch if a day was already paid
+            await EarningDay.insertMany(dayDocs, { session });
+            await EarningsRunItem.insertMany(runItems, { session });
+        }
+        await EarningsRun.updateOne({ _id: run._id }, {
+            $inc: { totalCredited: runItems.reduce((t, i) => t + i.amount, 0), fridgeDays: runItems.length, batches: 1 },
+            $set: { checkpoint }
+        }, { session });
+    });
+}
+
+// ── DAILY EARNINGS: midnight in BUSINESS_TIMEZONE for normal fridges ──
+// Credits today plus any earlier day that was missed (server down at midnight).
+// Each fridge/day gets one EarningDay record; its unique index makes the credit exactly-once.
+// A run interrupted by a crash stays 'running' with a checkpoint and the next call resumes it.
+// With dryRun the breakdown is returned and nothing is written. Returns null if a run is in progress.
+async function runDailyEarnings({ dryRun = false, trigger = 'cron', by = 'system' } = {}) {
     if (earningsRunning) {
         console.log('runDailyEarnings already running — skipping');
-        return;
+        return null;
     }
     earningsRunning = true;
+    let run = null;
     try {
-        const users = await User.find();
-        const now = new Date();
-        const todayKenya = new Date(now.getTime() + 3 * 60 * 60 * 1000).toISOString().slice(0, 10);
-        let totalCredited = 0;
-        let usersUpdated = 0;
-
-        for (const user of users) {
-            let earnThisRun = 0;
-            let changed = false;
-
-            for (let i = 0; i < user.fridges.length; i++) {
-                const f = user.fridges[i];
-                if (!f.id || f.id.startsWith('offer')) continue;
-                const dailyEarn = f.dailyEarn || 0;
-                if (dailyEarn <= 0) continue;
-                const boughtAt = f.boughtAt ? new Date(f.boughtAt) : null;
-                if (!boughtAt) continue;
-                const boughtAtKenya = new Date(boughtAt.getTime() + 3 * 60 * 60 * 1000).toISOString().slice(0, 10);
-                if (boughtAtKenya >= todayKenya) continue;
-
-                // ✅ DEDUP: skip if already credited today (Kenya date)
-                const lastEarnedAt = f.lastEarnedAt ? new Date(f.lastEarnedAt) : null;
-                if (lastEarnedAt) {
-                    const lastEarnedKenya = new Date(lastEarnedAt.getTime() + 3 * 60 * 60 * 1000).toISOString().slice(0, 10);
-                    if (lastEarnedKenya === todayKenya) continue; // already credited today, skip
-                }
+        const now = earnings.now();
+        const todayKenya = earnings.dateKey(now);
 
-                earnThisRun += dailyEarn;
-                user.fridges[i].lastEarnedAt = now; // mark as credited today
-                changed = true;
+        if (dryRun) {
+            const plan = [];
+            for await (const batch of inBatches(earningHoldingsCursor(null))) {
+                plan.push(...await planEarningsBatch(batch, todayKenya));
             }
+            return summarizeEarningsPlan(plan, todayKenya);
+        }
 
-            if (earnThisRun > 0 && changed) {
-                // Use user.save() so Mongoose properly serializes lastEarnedAt to MongoDB.
-                // updateOne + $set: { fridges } does NOT reliably save subdocument changes.
-                user.earning += earnThisRun;
-                user.markModified('fridges');
-                await user.save();
-                totalCredited += earnThisRun;
-                usersUpdated++;
-                console.log('Credited KES ' + earnThisRun + ' to ' + user.email);
+        // Pick up where a crashed run stopped today; its finished batches are already committed.
+        // One from an earlier day is closed as is: a fresh pass from the start covers what it missed.
+        await EarningsRun.updateMany(
+            { status: 'running', date: { $ne: todayKenya } },
+            { $set: { status: 'completed', finishedAt: new Date(), error: 'Interrupted; remaining users caught up by a later run' } }
+        );
+        run = await EarningsRun.findOne({ status: 'running', date: todayKenya, trigger: { $ne: 'recredit' } }).sort({ startedAt: -1 });
+        if (run) console.log(`Resuming earnings run ${run._id} after ${run.checkpoint || 'start'}`);
+
+        let lastCheckpoint = run ? run.checkpoint : null;
+        for await (const batch of inBatches(earningHoldingsCursor(lastCheckpoint))) {
+            const checkpoint = batch[batch.length - 1]._id;
+            const plan = await planEarningsBatch(batch, todayKenya);
+            if (!plan.length) {
+                if (run) await EarningsRun.updateOne({ _id: run._id }, { $set: { checkpoint } });
+                continue;
+            }
+            // The journal is only created once something is actually due
+            if (!run) run = await EarningsRun.create({ date: todayKenya, trigger, startedBy: by, startedAt: now });
+
+            // Fridges with a day that failed keep their lastEarnedAt, even if their later days
+            // went through, so the next run credits the gap
+            const failed = new Set();
+            const chunks = chunkEarningsPlan(plan);
+            for (const [n, chunk] of chunks.entries()) {
+                // The checkpoint only moves past this batch with its last chunk
+                const at = n === chunks.length - 1 ? checkpoint : lastCheckpoint;
+                failed.forEach(ref => chunk.finished.delete(ref));
+                try {
+                    await creditEarningsBatch(run, chunk, now, at);
+                } catch (err) {
+                    // One bad user must not block the rest: retry this chunk a user at a time
+                    console.error('Daily earnings batch failed, retrying per user:', err.message);
+                    for (const entry of chunk.plan) {
+                        try {
+                            await creditEarningsBatch(run, { plan: [entry], finished: chunk.finished }, now, lastCheckpoint);
+                        } catch (userErr) {
+                            console.error(`Daily earnings failed for ${entry.userEmail}:`, userErr.message);
+                            entry.items.forEach(i => { failed.add(i.fridgeRef); chunk.finished.delete(i.fridgeRef); });
+                        }
+                    }
+                    await EarningsRun.updateOne({ _id: run._id }, { $set: { checkpoint: at } });
+                }
             }
+            lastCheckpoint = checkpoint;
         }
 
-        console.log(`✅ Daily earnings DONE: KES ${totalCredited} to ${usersUpdated} users`);
-
-        try {
-            if (typeof bot !== 'undefined' && usersUpdated > 0) {
-            }
-        } catch(e) {}
+        if (!run) {
+            console.log('✅ Daily earnings DONE: nothing due');
+            return summarizeEarningsPlan([], todayKenya);
+        }
+        // A user's holdings can span batches, so count distinct users once at the end
+        const usersUpdated = (await EarningsRunItem.distinct('userEmail', { runId: run._id })).length;
+        run = await EarningsRun.findOneAndUpdate(
+            { _id: run._id },
+            { $set: { status: 'completed', finishedAt: new Date(), usersUpdated } },
+            { new: true }
+        );
+        console.log(`✅ Daily earnings DONE: KES ${run.totalCredited} to ${run.usersUpdated} users (${run.fridgeDays} fridge-days)`);
+        return { runId: run._id, date: todayKenya, totalCredited: run.totalCredited, usersUpdated: run.usersUpdated, fridgeDays: run.fridgeDays };
     } catch (err) {
+        // Left as 'running' with its checkpoint so the next call resumes it
         console.error('Daily earnings error:', err);
+        if (run) await EarningsRun.updateOne({ _id: run._id }, { $set: { error: err.message } }).catch(()=>{});
+        throw err;
     } finally {
         earningsRunning = false; // always release the lock
     }
 }
 
-async function checkMissedEarnings() {
+function summarizeEarningsPlan(plan, todayKenya) {
+    const users = plan.map(u => ({ userEmail: u.userEmail, amount: u.items.reduce((t, i) => t + i.amount, 0), items: u.items }));
+    return {
+        date: todayKenya,
+        totalCredited: users.reduce((t, u) => t + u.amount, 0),
+        usersUpdated: users.length,
+        fridgeDays: users.reduce((t, u) => t + u.items.length, 0),
+        users
+    };
+}
+
+// Takes back what a run credited. Its day records stay, marked reversed, so neither the cron nor
+// boot catch-up pays those days again; recreditEarningsRun is the only way to pay them.
+// Only the latest completed run can be reversed, and never while a run is in progress.
+async function reverseEarningsRun(runId, by, reason) {
+    if (earningsRunning) throw approvalError('An earnings run is in progress. Try again when it finishes.', 409);
+    earningsRunning = true;
+    try {
+        const latest = await EarningsRun.findOne({ status: { $in: ['completed', 'reversing'] } }).sort({ startedAt: -1 });
+        if (!latest || String(latest._id) !== String(runId)) {
+            throw approvalError('Only the most recent completed run can be reversed');
+        }
+        const run = await EarningsRun.findOneAndUpdate(
+            { _id: runId, status: { $in: ['completed', 'reversing'] } },
+            { $set: { status: 'reversing', reversedBy: by, reversalReason: reason } },
+            { new: true }
+        );
+        if (!run) throw approvalError('Run not found or already reversed');
+
+        // One user at a time; items already carrying a reversalTxnId were done by an interrupted reversal
+        const pending = { runId: run._id, reversalTxnId: null };
+        let totalReversed = 0;
+        for (const userEmail of await EarningsRunItem.distinct('userEmail', pending)) {
+            const entries = await EarningsRunItem.find({ ...pending, userEmail }).lean();
+            await mongoose.connection.transaction(async session => {
+                for (const item of entries) {
+                    // No requireFunds: if the money was already withdrawn the balance goes negative, visibly
+                    const txnId = await postLedger({
+                        userEmail, amount: -item.amount, reason: 'EARNING_REVERSAL',
+                        sourceType: 'earningsrun', sourceId: run._id, memo: `${item.fridgeId} ${item.date}: ${reason}`
+                    }, { session });
+                    await EarningDay.updateOne(
+                        { fridgeRef: item.fridgeRef, date: item.date, runId: run._id },
+                        { $set: { reversedAt: new Date(), reversalTxnId: txnId } },
+                        { session }
+                    );
+                    await EarningsRunItem.updateOne({ _id: item._id }, { $set: { reversalTxnId: txnId } }, { session });
+                }
+            });
+            totalReversed += entries.reduce((t, e) => t + e.amount, 0);
+        }
+
+        await EarningsRun.updateOne({ _id: run._id }, { $set: { status: 'reversed', reversedAt: new Date() } });
+        return { run, totalReversed };
+    } finally {
+        earningsRunning = false;
+    }
+}
+
+// Pays the days of a reversed run again, at each fridge's current dailyEarn, as a new run with
+// trigger 'recredit'. Days of fridges that are no longer active stay reversed.
+async function recreditEarningsRun(runId, by) {
+    if (earningsRunning) throw approvalError('An earnings run is in progress. Try again when it finishes.', 409);
+    earningsRunning = true;
+    let run = null;
     try {
-        const now = new Date();
-        const kenyaHour = new Date(now.getTime() + 3 * 60 * 60 * 1000).getUTCHours();
-        if (kenyaHour >= 0 && kenyaHour <= 2) {
-            const todayKey = new Date(now.getTime() + 3 * 60 * 60 * 1000).toISOString().slice(0, 10);
-            const alreadyRan = await Settings.findOne({ key: 'last_earnings_date' });
-            if (!alreadyRan || alreadyRan.value !== todayKey) {
-                console.log('Running missed daily earnings for', todayKey);
-                // Save date FIRST to prevent race condition
-                await Settings.findOneAndUpdate(
-                    { key: 'last_earnings_date' },
-                    { value: todayKey },
-                    { upsert: true }
-                );
-                await runDailyEarnings();
+        const reversed = await EarningsRun.findOneAndUpdate(
+            { _id: runId, status: { $in: ['reversed', 'recrediting'] } },
+            { $set: { status: 'recrediting' } },
+            { new: true }
+        );
+        if (!reversed) throw approvalError('Only a reversed run can be credited again');
+
+        const now = earnings.now();
+        run = await EarningsRun.create({ date: earnings.dateKey(now), trigger: 'recredit', startedBy: by, startedAt: now, recreditOf: reversed._id });
+        // Days freed by an interrupted attempt were already paid by that attempt's run
+        const cursor = EarningDay.find({ runId: reversed._id, reversedAt: { $ne: null } }).sort({ _id: 1 }).lean().cursor();
+        for await (const days of inBatches(cursor)) {
+            const holdings = new Map((await Holding.find(
+                { _id: { $in: [...new Set(days.map(d => d.fridgeRef))] }, status: 'active', dailyEarn: { $gt: 0 } },
+                'dailyEarn lastEarnedAt'
+            ).lean()).map(h => [String(h._id), h]));
+
+            const byUser = new Map();
+            const release = [];
+            for (const d of days) {
+                const h = holdings.get(d.fridgeRef);
+                if (!h) continue;
+                if (!byUser.has(d.userEmail)) byUser.set(d.userEmail, []);
+                byUser.get(d.userEmail).push({ fridgeRef: d.fridgeRef, fridgeId: d.fridgeId, date: d.date, amount: h.dailyEarn, prevLastEarnedAt: h.lastEarnedAt || null });
+                release.push(d._id);
             }
+            if (!release.length) continue;
+            // These are past days, so lastEarnedAt stays where it is (empty `finished`)
+            const plan = [...byUser].map(([userEmail, items]) => ({ userEmail, items }));
+            await creditEarningsBatch(run, { plan, finished: new Set(), release }, now, null);
         }
-    } catch(err) {
-        console.error('checkMissedEarnings error:', err);
+
+        const usersUpdated = (await EarningsRunItem.distinct('userEmail', { runId: run._id })).length;
+        run = await EarningsRun.findOneAndUpdate(
+            { _id: run._id },
+            { $set: { status: 'completed', finishedAt: new Date(), usersUpdated } },
+            { new: true }
+        );
+        await EarningsRun.updateOne({ _id: reversed._id }, { $set: { status: 'recredited', recreditedAt: new Date(), recreditedBy: by } });
+        return { run, reversed };
+    } catch (err) {
+        if (run) await EarningsRun.updateOne({ _id: run._id }, { $set: { status: 'completed', finishedAt: new Date(), error: err.message } }).catch(()=>{});
+        throw err;
+    } finally {
+        earningsRunning = false;
     }
 }
 
 // ================= CRON JOBS =================
 cron.schedule('* * * * *', checkAndCreditOfferEarnings);
-cron.schedule('0 21 * * *', async () => {
-    const now = new Date();
-    const todayKey = new Date(now.getTime() + 3 * 60 * 60 * 1000).toISOString().slice(0, 10);
-    // Save date FIRST to prevent race condition with checkMissedEarnings
+cron.schedule('* * * * *', retryDuePayouts);
+cron.schedule('*/2 * * * *', checkPendingStkPayments);
+cron.schedule('* * * * *', () => loadIpBans().catch(err => console.error('IP ban refresh failed:', err.message)));
+cron.schedule('0 0 * * *', async () => {
+    const todayKey = earnings.dateKey();
+    // Save date FIRST to prevent a second run the same night
     const already = await Settings.findOne({ key: 'last_earnings_date' });
     if (already && already.value === todayKey) {
         console.log('Midnight cron: earnings already ran today, skipping');
         return;
     }
     await Settings.findOneAndUpdate({ key: 'last_earnings_date' }, { value: todayKey }, { upsert: true });
-    await runDailyEarnings();
+    await runDailyEarnings().catch(() => {});
     console.log('Midnight cron: earnings done for', todayKey);
-}, { timezone: 'UTC' });
-// checkMissedEarnings cron removed - keep-alive ping prevents server sleep
+}, { timezone: BUSINESS_TIMEZONE });
+// Missed days are caught up by runDailyEarnings itself (and at boot)
 console.log('✅ All cron jobs scheduled');
 
 // ================= USER WITHDRAWAL REQUEST =================
-app.post('/api/withdraw', auth, async (req, res) => {
+app.post('/api/withdraw', auth, validate({ body: { phone: field.string({ max: 20 }), amount: field.number() } }), async (req, res) => {
     try {
         const { phone, amount } = req.body;
         const user = await User.findOne({ email: req.user.email });
         if (!user) return res.status(404).json({ error: 'User not found' });
 
-        const kenyaDate = new Date(Date.now() + 3 * 60 * 60 * 1000);
-        const dayOfWeek = kenyaDate.getUTCDay();
+        const dayOfWeek = earnings.weekday();
         if (dayOfWeek === 0 || dayOfWeek === 6) {
             return res.status(400).json({ error: 'Withdrawals are only available Monday to Friday.' });
         }
@@ -1306,7 +3950,7 @@ app.post('/api/withdraw', auth, async (req, res) => {
             return res.status(400).json({ error: 'You must first deposit (buy a normal fridge starting from KES 100) before withdrawing.' });
         }
 
-        const pendingWd = await Withdrawal.findOne({ userEmail: user.email, approved: false });
+        const pendingWd = await Withdrawal.findOne({ userEmail: user.email, status: 'requested' });
         if (pendingWd) {
             return res.status(400).json({ error: 'You already have a pending withdrawal. Please wait before submitting again.' });
         }
@@ -1319,6 +3963,10 @@ app.post('/api/withdraw', auth, async (req, res) => {
             return res.status(400).json({ error: 'Phone must match registered phone' });
         }
 
+        if (!user.phoneVerified && phoneVerificationRequired()) {
+            return res.status(403).json({ error: 'Verify your M-Pesa number before withdrawing.', phoneVerificationRequired: true });
+        }
+
         if (user.earning < amount) {
             return res.status(400).json({ error: 'Insufficient earnings' });
         }
@@ -1326,8 +3974,24 @@ app.post('/api/withdraw', auth, async (req, res) => {
         const fee = getWithdrawalFee(amount);
         const netAmount = amount - fee;
 
-        const withdrawal = new Withdrawal({ userEmail: user.email, phone, amount, fee, netAmount });
-        await withdrawal.save();
+        // Reserve the amount in the same transaction that creates the request, so two
+        // concurrent requests (or a trade deposit) can never spend the same earnings
+        try {
+            await mongoose.connection.transaction(async session => {
+                const withdrawal = new Withdrawal({
+                    userEmail: user.email, phone, amount, fee, netAmount, held: true,
+                    status: 'requested', history: [{ status: 'requested', by: user.email }]
+                });
+                await postLedger({
+                    userEmail: user.email, amount: -amount, reason: 'WITHDRAWAL_HOLD',
+                    sourceType: 'withdrawal', sourceId: withdrawal._id
+                }, { session, requireFunds: true, inc: { earningOnHold: amount } });
+                await withdrawal.save({ session });
+            });
+        } catch (holdErr) {
+            if (holdErr.code === 'INSUFFICIENT_FUNDS') return res.status(400).json({ error: 'Insufficient earnings' });
+            throw holdErr;
+        }
         user.lastWithdrawalAttempt = new Date();
         await user.save();
 
@@ -1341,15 +4005,41 @@ app.post('/api/withdraw', auth, async (req, res) => {
     }
 });
 
+// ================= USER WITHDRAWAL HISTORY =================
+app.get('/api/withdrawals', auth, async (req, res) => {
+    try {
+        const withdrawals = await Withdrawal.find(
+            { userEmail: req.user.email },
+            'amount fee netAmount phone status rejectionReason approvedAt paidAt rejectedAt cancelledAt createdAt'
+        ).sort({ createdAt: -1 });
+        res.json({ withdrawals });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ================= USER CANCELS PENDING WITHDRAWAL =================
+app.post('/api/withdrawals/:id/cancel', auth, validate({ params: { id: field.objectId() }, body: {} }), async (req, res) => {
+    try {
+        const own = await Withdrawal.findOne({ _id: req.params.id, userEmail: req.user.email });
+        if (!own) return res.status(404).json({ error: 'Withdrawal not found' });
+
+        const wd = await mongoose.connection.transaction(async session => {
+            const cancelled = await transitionWithdrawal(own._id, 'requested', 'cancelled', req.user.email, { session });
+            if (cancelled) await releaseWithdrawalHold(cancelled, session);
+            return cancelled;
+        });
+        if (!wd) return res.status(400).json({ error: 'Only pending withdrawals can be cancelled' });
+        res.json({ message: 'Withdrawal cancelled. The amount is back in your earnings.' });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
 // ================= GET COMMUNITY LINKS =================
 app.get('/api/links', (req, res) => {
     res.json(COMMUNITY_LINKS);
 });
 
 // ================= ADMIN: UPDATE COMMUNITY LINKS =================
-app.post('/api/admin/links', auth, async (req, res) => {
+app.post('/api/admin/links', auth, can('settings'), validate({ body: { whatsapp: field.string({ optional: true, max: 500 }), telegram: field.string({ optional: true, max: 500 }) } }), async (req, res) => {
     try {
-        if (req.user.email !== ADMIN_EMAIL) return res.status(403).json({ error: 'Admin only' });
         const { whatsapp, telegram } = req.body;
         if (whatsapp !== undefined) {
             COMMUNITY_LINKS.whatsapp = whatsapp;
@@ -1364,13 +4054,12 @@ app.post('/api/admin/links', auth, async (req, res) => {
 });
 
 // ================= ADMIN: STATS =================
-app.get('/api/admin/stats', auth, async (req, res) => {
+app.get('/api/admin/stats', auth, can('dashboard'), async (req, res) => {
     try {
-        if (req.user.email !== ADMIN_EMAIL) return res.status(403).json({ error: 'Admin only' });
         const [users, payments, withdrawals] = await Promise.all([
-            User.find({}, 'earning balance fridges createdAt'),
+            User.find({}, 'earning balance createdAt'),
             Payment.find({ approved: true }),
-            Withdrawal.find({ approved: true })
+            Withdrawal.find({ status: { $in: ['approved', 'paid'] } })
         ]);
         const totalRevenue = payments.reduce((s, p) => s + (p.fridgePrice || 0), 0);
         const totalWithdrawn = withdrawals.reduce((s, w) => s + (w.amount || 0), 0);
@@ -1387,42 +4076,40 @@ app.get('/api/admin/stats', auth, async (req, res) => {
             totalWithdrawn,
             totalEarnings,
             totalFridgesBought,
-            pendingPayments: await Payment.countDocuments({ approved: false }),
-            pendingWithdrawals: await Withdrawal.countDocuments({ approved: false })
+            pendingPayments: await Payment.countDocuments({ approved: false, rejected: { $ne: true }, revoked: { $ne: true } }),
+            pendingWithdrawals: await Withdrawal.countDocuments({ status: 'requested' })
         });
     } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
 // ================= ADMIN: SEARCH USERS =================
-app.get('/api/admin/users/search', auth, async (req, res) => {
+app.get('/api/admin/users/search', auth, can('users:read'), validate({ query: { q: field.string({ optional: true, max: 100 }) } }), async (req, res) => {
     try {
-        if (req.user.email !== ADMIN_EMAIL) return res.status(403).json({ error: 'Admin only' });
-        const { q } = req.query;
-        if (!q) return res.json({ users: [] });
+        if (!req.query.q) return res.json({ users: [] });
+        // Matched as typed: "+254" or "a.b@" must not be read as a pattern
+        const q = req.query.q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
         const users = await User.find({
             $or: [
                 { email: { $regex: q, $options: 'i' } },
                 { phone: { $regex: q, $options: 'i' } },
                 { name:  { $regex: q, $options: 'i' } }
             ]
-        }, '-password').limit(20);
-        res.json({ users });
+        }, '-password').limit(20).lean();
+        res.json({ users: await withFridgeCounts(users) });
     } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
 // ================= ADMIN: ACTIVITY LOG =================
-app.get('/api/admin/logs', auth, async (req, res) => {
+app.get('/api/admin/logs', auth, can('logs'), async (req, res) => {
     try {
-        if (req.user.email !== ADMIN_EMAIL) return res.status(403).json({ error: 'Admin only' });
         const logs = await ActivityLog.find().sort({ createdAt: -1 }).limit(100);
         res.json({ logs });
     } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
 // ================= ADMIN: BROADCAST MESSAGE =================
-app.post('/api/admin/broadcast', auth, async (req, res) => {
+app.post('/api/admin/broadcast', auth, can('broadcast'), validate({ body: { message: field.string({ max: 2000 }) } }), async (req, res) => {
     try {
-        if (req.user.email !== ADMIN_EMAIL) return res.status(403).json({ error: 'Admin only' });
         const { message } = req.body;
         if (!message) return res.status(400).json({ error: 'Message required' });
         await Broadcast.create({ message, sentBy: req.user.email });
@@ -1446,8 +4133,230 @@ async function logAction(adminEmail, action, details, ip = '') {
     } catch(e) {}
 }
 
+// ================= ADMIN: ROLE ASSIGNMENT =================
+app.get('/api/admin/roles', auth, can('roles'), async (req, res) => {
+    try {
+        const staff = await User.find({ adminRole: { $ne: null } }, 'email name adminRole').lean();
+        res.json({ roles: ADMIN_ROLES, superAdmin: ADMIN_EMAIL, staff });
+    } catch(err) { res.status(500).json({ error: err.message }); }
+});
+
+// role: one of ADMIN_ROLES, or null to take admin access away
+app.post('/api/admin/roles', auth, can('roles'), validate({ body: {
+    email: field.email(),
+    role: field.oneOf(Object.keys(ADMIN_ROLES), { nullable: true }),
+    reason: field.string({ optional: true, max: 500 })
+} }), async (req, res) => {
+    try {
+        const { email, role, reason } = req.body;
+        if (email === ADMIN_EMAIL) return res.status(400).json({ error: 'The owner account is always super-admin' });
+        if (email === req.user.email) return res.status(400).json({ error: 'You cannot change your own role' });
+
+        const before = await User.findOneAndUpdate({ email }, { $set: { adminRole: role } }, { projection: 'adminRole' });
+        if (!before) return res.status(404).json({ error: 'User not found' });
+        await logAction(req.user.email, 'ADMIN_ROLE_CHANGED', `${email}: ${before.adminRole || 'none'} → ${role || 'none'}` + (reason ? ` (${reason})` : ''), req.ip);
+        res.json({ message: role ? `${email} is now ${role}` : `${email} no longer has admin access` });
+    } catch(err) { res.status(500).json({ error: err.message }); }
+});
+
+// ================= MAKER-CHECKER APPROVALS =================
+// Actions named in MAKER_CHECKER_ACTIONS are queued when an admin asks for them and carried out
+// only when a different admin approves. Off unless set, since an install with a single admin
+// could never approve anything. Once there is a second admin, turn it on with e.g.
+//   MAKER_CHECKER_ACTIONS=WITHDRAWAL_APPROVE,USER_EDIT,PAYMENT_REVOKE,PASSWORD_RESET,PHONE_VERIFY
+// (any of the SENSITIVE_ACTIONS keys below). Withdrawals only need the second admin from
+// MAKER_CHECKER_WITHDRAWAL_MIN up.
+const MAKER_CHECKER_ACTIONS = (process.env.MAKER_CHECKER_ACTIONS || '')
+    .split(',').map(a => a.trim().toUpperCase()).filter(a => a && a !== 'NONE');
+const MAKER_CHECKER_WITHDRAWAL_MIN = Number(process.env.MAKER_CHECKER_WITHDRAWAL_MIN || 5000); // KES
+
+// permission: what both the proposer and the approver need
+// snapshot:   the target's values, stored as before/after (throws if the target is missing)
+// required:   optional, whether this particular request needs a second admin; when it does not,
+//             the route runs it directly and its own checks report e.g. "already approved"
+const SENSITIVE_ACTIONS = {
+    USER_EDIT: {
+        permission: 'users:write',
+        // Fields left out of the request are left out here too, or they would be saved as null
+        params: body => Object.fromEntries(['email', 'balance', 'earning'].filter(k => body[k] !== undefined).map(k => [k, body[k]])),
+        target: p => p.email,
+        snapshot: async p => {
+            const user = await User.findOne({ email: p.email }, 'balance earning').lean();
+            if (!user) throw approvalError('User not found', 404);
+            return { balance: user.balance, earning: user.earning };
+        },
+        summary: p => `Set ${p.email} ` + [
+            p.balance !== undefined ? `balance to KES ${Number(p.balance)}` : '',
+            p.earning !== undefined ? `earning to KES ${Number(p.earning)}` : ''
+        ].filter(Boolean).join(' and '),
+        execute: editUserBalance
+    },
+    PAYMENT_REVOKE: {
+        permission: 'payments',
+        params: body => ({ paymentId: String(body.paymentId || '') }),
+        target: p => p.paymentId,
+        snapshot: async p => {
+            const payment = mongoose.Types.ObjectId.isValid(p.paymentId) && await Payment.findById(p.paymentId).lean();
+            if (!payment) throw approvalError('Payment not found', 404);
+            const holding = await Holding.findOne({ paymentId: payment._id }, 'status').lean();
+            return {
+                userEmail: payment.userEmail, fridgeId: payment.fridgeId, approved: payment.approved, revoked: !!payment.revoked,
+                holdingStatus: holding ? holding.status : null,
+                referralReward: payment.referral && !payment.referral.clawedBackAt ? payment.referral.amount || 0 : 0
+            };
+        },
+        required: (p, before) => before.approved,
+        summary: (p, before) => `Revoke payment ${p.paymentId} (${before.fridgeId} for ${before.userEmail})`,
+        execute: (p, ctx) => revokePayment(p.paymentId, ctx)
+    },
+    WITHDRAWAL_APPROVE: {
+        permission: 'withdrawals',
+        params: body => ({ withdrawalId: String(body.withdrawalId || '') }),
+        target: p => p.withdrawalId,
+        snapshot: async p => {
+            const wd = mongoose.Types.ObjectId.isValid(p.withdrawalId) && await Withdrawal.findById(p.withdrawalId).lean();
+            if (!wd) throw approvalError('Withdrawal not found', 404);
+            return { userEmail: wd.userEmail, amount: wd.amount, netAmount: wd.netAmount, phone: wd.phone, status: wd.status };
+        },
+        required: (p, before) => before.status === 'requested' && before.amount >= MAKER_CHECKER_WITHDRAWAL_MIN,
+        summary: (p, before) => `Approve withdrawal of KES ${before.amount} for ${before.userEmail} to ${before.phone}`,
+        execute: (p, ctx) => approveWithdrawal(p.withdrawalId, ctx)
+    },
+    PASSWORD_RESET: {
+        permission: 'users:write',
+        target: p => p.email,
+        snapshot: async p => {
+            const user = await User.findOne({ email: p.email }, 'passwordChangedAt').lean();
+            if (!user) throw approvalError('User not found', 404);
+            return { passwordChangedAt: user.passwordChangedAt || null };
+        },
+        summary: p => `Reset the password of ${p.email}`,
+        execute: resetUserPassword
+    },
+    PHONE_VERIFY: {
+        permission: 'users:write',
+        target: p => p.email,
+        snapshot: async p => {
+            const user = await User.findOne({ email: p.email }, 'phone phoneVerified').lean();
+            if (!user) throw approvalError('User not found', 404);
+            return { phone: user.phone, phoneVerified: !!user.phoneVerified };
+        },
+        summary: p => `Mark ${p.phone} as the verified M-Pesa number of ${p.email}`,
+        execute: markPhoneVerified
+    }
+};
+
+// Appended to audit details when an action went through the queue, so both admins are on record
+function approvalNote(ctx) {
+    return ctx.approval ? ` [approval ${ctx.approval._id}: proposed by ${ctx.approval.proposedBy}, approved by ${ctx.by}]` : '';
+}
+
+/**
+ * Queues the action if it needs a second admin and returns the response for the proposer,
+ * or returns null when the route should carry it out straight away.
+ * `params` overrides what is taken from req.body (used to store a password hash instead of the password).
+ */
+async function proposeIfRequired(type, req, params) {
+    if (!MAKER_CHECKER_ACTIONS.includes(type)) return null;
+    const def = SENSITIVE_ACTIONS[type];
+    params = params || def.params(req.body);
+    const before = await def.snapshot(params);
+    if (def.required && !def.required(params, before)) return null;
+
+    const target = def.target(params);
+    const open = await PendingAction.findOne({ type, target, status: 'pending' }, 'proposedBy').lean();
+    if (open) throw approvalError(`This is already waiting for approval (proposed by ${open.proposedBy})`, 409);
+
+    const action = await PendingAction.create({
+        type, params, target, before,
+        summary: def.summary(params, before),
+        proposedBy: req.user.email,
+        reason: String(req.body.reason || '').slice(0, 500)
+    });
+    await logAction(req.user.email, 'APPROVAL_REQUESTED', `${action._id}: ${action.summary}`, req.ip);
+    return { pending: true, actionId: action._id, message: `Sent for approval: ${action.summary}. Another admin has to approve it.` };
+}
+
+async function decidableAction(id, admin) {
+    const action = mongoose.Types.ObjectId.isValid(id) && await PendingAction.findById(id);
+    if (!action) throw approvalError('Action not found', 404);
+    if (action.status !== 'pending') throw approvalError(`Action is already ${action.status}`);
+    const def = SENSITIVE_ACTIONS[action.type];
+    if (!def || !roleAllows(await adminRoleOf(admin), def.permission)) throw approvalError('Your role cannot decide this action', 403);
+    return { action, def };
+}
+
+async function approvePendingAction(id, by, ip) {
+    const { action, def } = await decidableAction(id, by);
+    if (action.proposedBy === by) throw approvalError('A different admin has to approve this', 403);
+
+    // Claim it first so two approvers cannot both run it
+    const claimed = await PendingAction.findOneAndUpdate(
+        { _id: action._id, status: 'pending' },
+        { $set: { status: 'executing', decidedBy: by, decidedAt: new Date() } },
+        { new: true }
+    );
+    if (!claimed) throw approvalError('Another admin decided this action first', 409);
+
+    try {
+        const result = await def.execute(claimed.params, { by, ip, approval: claimed });
+        const after = await def.snapshot(claimed.params).catch(() => null);
+        await PendingAction.updateOne({ _id: claimed._id }, { $set: { status: 'executed', after, result: result.message } });
+        await logAction(by, 'APPROVAL_EXECUTED', `${claimed._id}: ${claimed.summary} (proposed by ${claimed.proposedBy})`, ip);
+        return result;
+    } catch (err) {
+        await PendingAction.updateOne({ _id: claimed._id }, { $set: { status: 'failed', error: err.message } });
+        await logAction(by, 'APPROVAL_FAILED', `${claimed._id}: ${claimed.summary}: ${err.message}`, ip);
+        throw err;
+    }
+}
+
+// The proposer withdrawing their own request is a cancel, anyone else turning it down is a reject
+async function rejectPendingAction(id, by, note, ip) {
+    const { action } = await decidableAction(id, by);
+    const cancelling = action.proposedBy === by;
+    if (!cancelling && !note) throw approvalError('Give a reason for rejecting');
+    const decided = await PendingAction.findOneAndUpdate(
+        { _id: action._id, status: 'pending' },
+        { $set: { status: cancelling ? 'cancelled' : 'rejected', decidedBy: by, decidedAt: new Date(), decisionNote: note } },
+        { new: true }
+    );
+    if (!decided) throw approvalError('Another admin decided this action first', 409);
+    await logAction(by, cancelling ? 'APPROVAL_CANCELLED' : 'APPROVAL_REJECTED', `${decided._id}: ${decided.summary}` + (note ? ` — ${note}` : ''), ip);
+    return decided;
+}
+
+// Each admin only sees the action types their role could approve
+app.get('/api/admin/approvals', auth, can('dashboard'), validate({ query: { status: field.oneOf(PENDING_ACTION_STATUSES, { optional: true }) } }), async (req, res) => {
+    try {
+        const types = Object.keys(SENSITIVE_ACTIONS).filter(t => roleAllows(req.adminRole, SENSITIVE_ACTIONS[t].permission));
+        const filter = { type: { $in: types } };
+        if (req.query.status) filter.status = req.query.status;
+        const actions = await PendingAction.find(filter, '-params.passwordHash').sort({ proposedAt: -1 }).limit(200).lean();
+        res.json({ actions, me: req.user.email, guarded: MAKER_CHECKER_ACTIONS, withdrawalMin: MAKER_CHECKER_WITHDRAWAL_MIN });
+    } catch(err) { res.status(500).json({ error: err.message }); }
+});
+
+app.post('/api/admin/approvals/:id/approve', auth, can('dashboard'), validate({ params: { id: field.objectId() }, body: {} }), async (req, res) => {
+    try {
+        const result = await approvePendingAction(req.params.id, req.user.email, req.ip);
+        res.json({ ...result, message: 'Approved. ' + result.message });
+    } catch(err) { res.status(err.status || 500).json({ error: err.message }); }
+});
+
+app.post('/api/admin/approvals/:id/reject', auth, can('dashboard'), validate({
+    params: { id: field.objectId() },
+    body: { note: field.string({ optional: true, max: 500 }) }
+}), async (req, res) => {
+    try {
+        const note = String(req.body.note || '').trim().slice(0, 500);
+        const action = await rejectPendingAction(req.params.id, req.user.email, note, req.ip);
+        res.json({ message: action.status === 'cancelled' ? 'Request cancelled' : 'Request rejected' });
+    } catch(err) { res.status(err.status || 500).json({ error: err.message }); }
+});
+
 // ================= TRADING: DEPOSIT KES → USD =================
-app.post('/api/trade/deposit', auth, async (req, res) => {
+app.post('/api/trade/deposit', auth, validate({ body: { amountKES: field.number() } }), async (req, res) => {
     try {
         const { amountKES } = req.body;
         if (!amountKES || amountKES < 130)
@@ -1458,8 +4367,15 @@ app.post('/api/trade/deposit', auth, async (req, res) => {
         if (user.earning < amountKES)
             return res.status(400).json({ error: 'Insufficient earnings balance' });
 
-        user.earning -= amountKES;
-        await user.save();
+        try {
+            await postLedger(
+                { userEmail: user.email, amount: -amountKES, reason: 'TRADE_DEPOSIT', sourceType: 'trade', memo: `KES ${amountKES} -> trading` },
+                { requireFunds: true }
+            );
+        } catch (fundsErr) {
+            if (fundsErr.code === 'INSUFFICIENT_FUNDS') return res.status(400).json({ error: 'Insufficient earnings balance' });
+            throw fundsErr;
+        }
 
         const usd = (amountKES / 130).toFixed(2);
         res.json({ message: `Deposited $${usd} to trading balance`, usdAmount: parseFloat(usd) });
@@ -1467,7 +4383,7 @@ app.post('/api/trade/deposit', auth, async (req, res) => {
 });
 
 // ================= TRADING: WITHDRAW USD → KES =================
-app.post('/api/trade/withdraw', auth, async (req, res) => {
+app.post('/api/trade/withdraw', auth, validate({ body: { amountUSD: field.number() } }), async (req, res) => {
     try {
         const { amountUSD } = req.body;
         if (!amountUSD || amountUSD < 1)
@@ -1477,101 +4393,155 @@ app.post('/api/trade/withdraw', auth, async (req, res) => {
         if (!user) return res.status(404).json({ error: 'User not found' });
 
         const kes = Math.floor(amountUSD * 125);
-        user.earning += kes;
-        await user.save();
+        await postLedger({ userEmail: user.email, amount: kes, reason: 'TRADE_WITHDRAW', sourceType: 'trade', memo: `$${amountUSD} -> KES` });
 
         res.json({ message: `Withdrawn KES ${kes} from trading balance`, kesAmount: kes });
     } catch(err) { res.status(500).json({ error: err.message }); }
 });
 
 // ================= ADMIN: REVOKE APPROVED PAYMENT =================
-app.post('/api/admin/payment/revoke', auth, async (req, res) => {
-    try {
-        if (req.user.email !== ADMIN_EMAIL) return res.status(403).json({ error: 'Admin only' });
-        const { paymentId } = req.body;
-        const payment = await Payment.findById(paymentId);
-        if (!payment) return res.status(404).json({ error: 'Payment not found' });
-        if (!payment.approved) return res.status(400).json({ error: 'Payment not yet approved' });
-
-        const user = await User.findOne({ email: payment.userEmail });
-        if (user) {
-            user.fridges = user.fridges.filter(f => f.id !== payment.fridgeId);
-            user.markModified('fridges');
-            await user.save();
+async function revokePayment(paymentId, ctx) {
+    // Only the fridge this payment bought goes; others of the same type stay
+    const { payment, holding, clawback } = await mongoose.connection.transaction(async session => {
+        const payment = await Payment.findOneAndUpdate(
+            { _id: paymentId, approved: true },
+            { $set: { approved: false, revoked: true } },
+            { new: true, session }
+        );
+        if (!payment) {
+            const existing = await Payment.findById(paymentId).session(session);
+            throw approvalError(existing ? 'Payment not yet approved' : 'Payment not found', existing ? 400 : 404);
         }
+        const holding = await revokeHolding({ paymentId: payment._id }, ctx.by, 'Payment revoked', session);
+        const clawback = await clawBackReferral(payment, ctx.by, session);
+        return { payment, holding, clawback };
+    });
 
-        payment.approved = false;
-        payment.revoked = true;
-        await payment.save();
+    await ActivityLog.create({
+        action: 'PAYMENT_REVOKED',
+        adminEmail: ctx.by,
+        details: `Payment ${paymentId} revoked for ${payment.userEmail}` + (holding ? `, holding ${holding._id} revoked` : ', no linked holding')
+            + (clawback ? `, referral KES ${clawback.amount} clawed back from ${clawback.referrerEmail} (earning now KES ${clawback.referrerEarning})` : '')
+            + approvalNote(ctx)
+    });
 
-        await ActivityLog.create({
-            action: 'PAYMENT_REVOKED',
-            adminEmail: req.user.email,
-            details: `Payment ${paymentId} revoked for ${payment.userEmail}`
-        });
+    let message = holding ? 'Payment approval revoked successfully' : 'Payment revoked. No fridge was linked to it, check the user\'s fridges.';
+    if (clawback) {
+        message += ` Referral reward of KES ${clawback.amount} taken back from ${clawback.referrerEmail}.`;
+        if (clawback.referrerEarning < 0) message += ` They had already spent it and now owe KES ${-clawback.referrerEarning}.`;
+    }
+    return { message, holdingId: holding ? holding._id : null, clawback };
+}
 
-        res.json({ message: 'Payment approval revoked successfully' });
-    } catch(err) { res.status(500).json({ error: err.message }); }
+app.post('/api/admin/payment/revoke', auth, can('payments'), validate({ body: { paymentId: field.objectId(), reason: field.string({ optional: true, max: 500 }) } }), async (req, res) => {
+    try {
+        const proposal = await proposeIfRequired('PAYMENT_REVOKE', req);
+        if (proposal) return res.status(202).json(proposal);
+        res.json(await revokePayment(req.body.paymentId, { by: req.user.email, ip: req.ip }));
+    } catch(err) { res.status(err.status || 500).json({ error: err.message }); }
 });
 
 // ================= ADMIN: GET FULL USER DETAILS =================
-app.get('/api/admin/user/:email', auth, async (req, res) => {
+app.get('/api/admin/user/:email', auth, can('users:read'), async (req, res) => {
     try {
-        if (req.user.email !== ADMIN_EMAIL) return res.status(403).json({ error: 'Admin only' });
         const user = await User.findOne({ email: req.params.email }, '-password');
         if (!user) return res.status(404).json({ error: 'User not found' });
         const payments = await Payment.find({ userEmail: req.params.email }).sort({ createdAt: -1 });
         const withdrawals = await Withdrawal.find({ userEmail: req.params.email }).sort({ createdAt: -1 });
-        res.json({ user, payments, withdrawals });
+        const holdings = await Holding.find({ userEmail: req.params.email }).sort({ boughtAt: 1 }).lean();
+        const fridges = holdings.filter(h => h.status !== 'revoked').map(holdingToFridge);
+        res.json({ user: { ...user.toObject(), fridges }, holdings, payments, withdrawals });
     } catch(err) { res.status(500).json({ error: err.message }); }
 });
 
 // ================= ADMIN: REMOVE FRIDGE FROM USER =================
-app.post('/api/admin/user/remove-fridge', auth, async (req, res) => {
+app.post('/api/admin/user/remove-fridge', auth, can('users:write'), validate({ body: {
+    email: field.email(),
+    holdingId: field.objectId(),
+    reason: field.string({ optional: true, max: 500 })
+} }), async (req, res) => {
     try {
-        if (req.user.email !== ADMIN_EMAIL) return res.status(403).json({ error: 'Admin only' });
-        const { email, fridgeIndex } = req.body;
-        const user = await User.findOne({ email });
-        if (!user) return res.status(404).json({ error: 'User not found' });
-        user.fridges.splice(fridgeIndex, 1);
-        user.markModified('fridges');
-        await user.save();
+        const { email, holdingId, reason } = req.body;
+        const holding = await revokeHolding({ _id: holdingId, userEmail: email }, req.user.email, reason || 'Removed by admin');
+        if (!holding) return res.status(404).json({ error: 'Fridge not found or already removed' });
         await ActivityLog.create({
             action: 'FRIDGE_REMOVED',
             adminEmail: req.user.email,
-            details: `Fridge at index ${fridgeIndex} removed from ${email}`
+            details: `Holding ${holding._id} (${holding.fridgeId}) removed from ${email}`
         });
         res.json({ message: 'Fridge removed successfully' });
     } catch(err) { res.status(500).json({ error: err.message }); }
 });
 
 // ================= ADMIN: RESET USER PASSWORD =================
-app.post('/api/admin/user/reset-password', auth, async (req, res) => {
+// Takes the bcrypt hash so a queued reset never stores the plain password
+async function resetUserPassword({ email, passwordHash }, ctx) {
+    const user = await User.findOneAndUpdate({ email }, { $set: { password: passwordHash, passwordChangedAt: new Date() } });
+    if (!user) throw approvalError('User not found', 404);
+    const ended = await revokeSessions({ userEmail: email }, 'password-reset');
+    await logAction(ctx.by, 'PASSWORD_RESET', `${email} (${ended} session(s) ended)` + approvalNote(ctx), ctx.ip);
+    return { message: 'Password reset successfully' };
+}
+
+app.post('/api/admin/user/reset-password', auth, can('users:write'), validate({ body: {
+    email: field.email(),
+    newPassword: field.string({ trim: false, max: 200 }),
+    reason: field.string({ optional: true, max: 500 })
+} }), async (req, res) => {
     try {
-        if (req.user.email !== ADMIN_EMAIL) return res.status(403).json({ error: 'Admin only' });
         const { email, newPassword } = req.body;
-        if (!newPassword || newPassword.length < 4) return res.status(400).json({ error: 'Password too short' });
-        const user = await User.findOne({ email });
+        if (!newPassword || newPassword.length < PASSWORD_MIN_LENGTH) return res.status(400).json({ error: `Password must be at least ${PASSWORD_MIN_LENGTH} characters` });
+        if (!(await User.exists({ email }))) return res.status(404).json({ error: 'User not found' });
+        const passwordHash = await bcrypt.hash(newPassword, 10);
+        const proposal = await proposeIfRequired('PASSWORD_RESET', req, { email, passwordHash });
+        if (proposal) return res.status(202).json(proposal);
+        res.json(await resetUserPassword({ email, passwordHash }, { by: req.user.email, ip: req.ip }));
+    } catch(err) { res.status(err.status || 500).json({ error: err.message }); }
+});
+
+// For users who cannot receive the SMS code: the admin has checked the number another way
+// (e.g. a call to it, or the M-Pesa statement of their deposits). Params carry the number as
+// proposed, so a number changed while waiting for approval is not the one marked.
+async function markPhoneVerified({ email, phone, reason }, ctx) {
+    const user = await User.findOne({ email }, 'phone phoneVerified').lean();
+    if (!user) throw approvalError('User not found', 404);
+    if (user.phone !== phone) throw approvalError(`${email} changed their number since this was proposed`, 409);
+    if (user.phoneVerified) throw approvalError(`${phone} is already verified`);
+    await User.updateOne({ _id: user._id, phone }, { $set: { phoneVerified: true, phoneVerifiedAt: new Date(), phoneVerifiedBy: ctx.by } });
+    await logAction(ctx.by, 'PHONE_VERIFIED_BY_ADMIN', `${email}: ${phone}` + (reason ? ` — ${reason}` : '') + approvalNote(ctx), ctx.ip);
+    return { message: `${phone} marked as verified` };
+}
+
+app.post('/api/admin/user/verify-phone', auth, can('users:write'), validate({ body: {
+    email: field.email(),
+    reason: field.string({ max: 500 })
+} }), async (req, res) => {
+    try {
+        const { email, reason } = req.body;
+        const user = await User.findOne({ email }, 'phone phoneVerified').lean();
         if (!user) return res.status(404).json({ error: 'User not found' });
-        user.password = await bcrypt.hash(newPassword, 10);
-        await user.save();
-        res.json({ message: 'Password reset successfully' });
-    } catch(err) { res.status(500).json({ error: err.message }); }
+        if (!user.phone) return res.status(400).json({ error: 'User has no phone number' });
+        if (user.phoneVerified) return res.status(400).json({ error: `${user.phone} is already verified` });
+        const params = { email, phone: user.phone, reason };
+        const proposal = await proposeIfRequired('PHONE_VERIFY', req, params);
+        if (proposal) return res.status(202).json(proposal);
+        res.json(await markPhoneVerified(params, { by: req.user.email, ip: req.ip }));
+    } catch(err) { res.status(err.status || 500).json({ error: err.message }); }
 });
 
 // ================= ADMIN: BAN/UNBAN USER =================
-app.post('/api/admin/user/ban', auth, async (req, res) => {
+app.post('/api/admin/user/ban', auth, can('users:write'), validate({ body: { email: field.email(), banned: field.boolean() } }), async (req, res) => {
     try {
-        if (req.user.email !== ADMIN_EMAIL) return res.status(403).json({ error: 'Admin only' });
         const { email, banned } = req.body;
         const user = await User.findOne({ email });
         if (!user) return res.status(404).json({ error: 'User not found' });
         user.banned = Boolean(banned);
         await user.save();
+        const ended = user.banned ? await revokeSessions({ userEmail: email }, 'banned') : 0;
         await ActivityLog.create({
             action: user.banned ? 'USER_BANNED' : 'USER_UNBANNED',
             adminEmail: req.user.email,
-            details: email
+            details: email + (ended ? ` (${ended} session(s) ended)` : '')
         });
         res.json({ message: banned ? 'User banned' : 'User unbanned' });
     } catch(err) { res.status(500).json({ error: err.message }); }
@@ -1579,9 +4549,8 @@ app.post('/api/admin/user/ban', auth, async (req, res) => {
 
 
 // ================= ADMIN: REFERRAL OVERVIEW =================
-app.get('/api/admin/referrals', auth, async (req, res) => {
+app.get('/api/admin/referrals', auth, can('users:read'), async (req, res) => {
     try {
-        if (req.user.email !== ADMIN_EMAIL) return res.status(403).json({ error: 'Admin only' });
         const users = await User.find({}, '-password').lean();
         const referred = {};
         for (const u of users) {
@@ -1603,14 +4572,19 @@ app.get('/api/admin/referrals', auth, async (req, res) => {
 });
 
 // ================= ADMIN: CREATE MARKETER =================
-app.post('/api/admin/marketer/create', auth, async (req, res) => {
+app.post('/api/admin/marketer/create', auth, can('users:write'), validate({ body: {
+    name: field.string({ max: 100 }),
+    email: field.email(),
+    password: field.string({ trim: false, max: 200 }),
+    phone: field.string({ max: 20 }),
+    note: field.string({ optional: true, max: 500 })
+} }), async (req, res) => {
     try {
-        if (req.user.email !== ADMIN_EMAIL) return res.status(403).json({ error: 'Admin only' });
         const { name, email, password, phone, note } = req.body;
         if (!name || !email || !password || !phone)
             return res.status(400).json({ error: 'Name, email, password and phone are all required' });
-        if (password.length < 6)
-            return res.status(400).json({ error: 'Password must be at least 6 characters' });
+        if (password.length < PASSWORD_MIN_LENGTH)
+            return res.status(400).json({ error: `Password must be at least ${PASSWORD_MIN_LENGTH} characters` });
         if (await User.findOne({ email }))
             return res.status(400).json({ error: 'Email already registered' });
         const hashed = await bcrypt.hash(password, 10);
@@ -1623,9 +4597,8 @@ app.post('/api/admin/marketer/create', auth, async (req, res) => {
 });
 
 // ================= ADMIN: GET MARKETERS =================
-app.get('/api/admin/marketers', auth, async (req, res) => {
+app.get('/api/admin/marketers', auth, can('users:read'), async (req, res) => {
     try {
-        if (req.user.email !== ADMIN_EMAIL) return res.status(403).json({ error: 'Admin only' });
         const marketers = await User.find({ isMarketer: true }, '-password').lean();
         const allUsers = await User.find({}, 'referredBy referralRewarded email createdAt').lean();
         const payments = await Payment.find({ approved: true }, 'userEmail fridgePrice').lean();
@@ -1646,63 +4619,102 @@ app.get('/api/admin/marketers', auth, async (req, res) => {
 });
 
 // ================= ADMIN: UPDATE MARKETER =================
-app.post('/api/admin/marketer/update', auth, async (req, res) => {
+app.post('/api/admin/marketer/update', auth, can('users:write'), validate({ body: {
+    email: field.email(),
+    commission: field.number({ optional: true, min: 0 }),
+    note: field.string({ optional: true, max: 500 }),
+    banned: field.boolean({ optional: true })
+} }), async (req, res) => {
     try {
-        if (req.user.email !== ADMIN_EMAIL) return res.status(403).json({ error: 'Admin only' });
         const { email, commission, note, banned } = req.body;
         const user = await User.findOne({ email, isMarketer: true });
         if (!user) return res.status(404).json({ error: 'Marketer not found' });
         if (commission !== undefined) user.marketerCommission = Number(commission);
         if (note !== undefined) user.marketerNote = note;
+        const banning = banned === true && !user.banned;
         if (banned !== undefined) user.banned = banned;
         await user.save();
+        if (banning) {
+            const ended = await revokeSessions({ userEmail: email }, 'banned');
+            await ActivityLog.create({
+                action: 'USER_BANNED',
+                adminEmail: req.user.email,
+                details: email + ' (marketer)' + (ended ? ` (${ended} session(s) ended)` : '')
+            });
+        }
         res.json({ message: 'Marketer updated' });
     } catch(err) { res.status(500).json({ error: err.message }); }
 });
 
 // ================= ADMIN: SECURITY LOGS =================
-app.get('/api/admin/security', auth, async (req, res) => {
+app.get('/api/admin/security', auth, can('security'), async (req, res) => {
     try {
-        if (req.user.email !== ADMIN_EMAIL) return res.status(403).json({ error: 'Admin only' });
         const logs = await SecurityLog.find().sort({ createdAt: -1 }).limit(200);
-        const bannedList = Array.from(bannedIPs);
+        const bans = await IpBan.find(activeBanFilter()).sort({ createdAt: -1 }).lean();
         const suspList = Object.entries(suspiciousIPs).map(([ip, d]) => ({ ip, count: d.count, firstSeen: d.firstSeen }));
-        res.json({ logs, bannedIPs: bannedList, suspiciousIPs: suspList });
+        res.json({ logs, bannedIPs: bans, suspiciousIPs: suspList, escalation: IP_BAN_ESCALATION });
     } catch(err) { res.status(500).json({ error: err.message }); }
 });
 
 // ================= ADMIN: BAN/UNBAN IP =================
-app.post('/api/admin/security/ban-ip', auth, async (req, res) => {
+// ip: one address or a CIDR range. durationHours is optional; without it the ban is permanent.
+app.post('/api/admin/security/ban-ip', auth, can('security'), validate({ body: {
+    ip: field.string({ max: 60 }),
+    action: field.oneOf(['ban', 'unban']),
+    reason: field.string({ optional: true, max: 300 }),
+    durationHours: field.number({ optional: true, above: 0 })
+} }), async (req, res) => {
     try {
-        if (req.user.email !== ADMIN_EMAIL) return res.status(403).json({ error: 'Admin only' });
-        const { ip, action } = req.body;
+        const { ip, action, reason, durationHours } = req.body;
         if (!ip) return res.status(400).json({ error: 'IP required' });
+        const range = parseCidr(ip);
+        if (!range) return res.status(400).json({ error: 'Enter an IP address or a CIDR range such as 41.90.0.0/16' });
+
         if (action === 'ban') {
-            bannedIPs.add(ip);
-            await SecurityLog.create({ type:'MANUAL_BAN', ip, path:'admin', detail:'Manually banned by admin' });
+            // Wider than this would take out a whole carrier
+            if (range.prefix < (range.version === 4 ? 16 : 32)) return res.status(400).json({ error: 'Range too wide: the limit is /16 for IPv4 and /32 for IPv6' });
+            if (cidrContains(range, req.ip)) return res.status(400).json({ error: 'That would ban your own address' });
+            const hours = durationHours !== undefined ? durationHours : null;
+            const ban = await IpBan.create({
+                cidr: range.cidr, source: 'manual', createdBy: req.user.email,
+                reason: String(reason || 'Manually banned by admin').slice(0, 300),
+                expiresAt: hours ? new Date(Date.now() + hours * 3600000) : null
+            });
+            const length = describeBanLength(hours && hours * 3600000);
+            await SecurityLog.create({ type:'MANUAL_BAN', ip: range.cidr, path:'admin', detail:`${ban.reason}; banned ${length} by ${req.user.email}` });
+            await logAction(req.user.email, 'IP_BANNED', `${range.cidr} ${length}: ${ban.reason}`, req.ip);
         } else {
-            bannedIPs.delete(ip);
+            const lifted = await IpBan.updateMany(
+                { cidr: range.cidr, ...activeBanFilter() },
+                { $set: { liftedAt: new Date(), liftedBy: req.user.email } }
+            );
+            if (!lifted.modifiedCount) {
+                const covering = range.single ? banCache.ranges.filter(r => r.until > Date.now() && cidrContains(r.range, ip)).map(r => r.range.cidr) : [];
+                return res.status(400).json({ error: covering.length ? `Not banned on its own; it is inside ${covering.join(', ')}. Unban the range instead.` : 'That address is not banned' });
+            }
             delete suspiciousIPs[ip];
-            await SecurityLog.create({ type:'MANUAL_UNBAN', ip, path:'admin', detail:'Manually unbanned by admin' });
+            await SecurityLog.create({ type:'MANUAL_UNBAN', ip: range.cidr, path:'admin', detail:`Manually unbanned by ${req.user.email}` });
+            await logAction(req.user.email, 'IP_UNBANNED', range.cidr, req.ip);
         }
-        res.json({ message: action === 'ban' ? 'IP banned' : 'IP unbanned' });
+        await loadIpBans();
+        res.json({ message: action === 'ban' ? `${range.cidr} banned` : `${range.cidr} unbanned` });
     } catch(err) { res.status(500).json({ error: err.message }); }
 });
 
 // ================= HONEYPOT TRAPS =================
 app.get('/administrator', (req, res) => {
     SecurityLog.create({ type:'HONEYPOT', ip:req.ip, path:'/administrator', detail:'Hacker visited fake admin' }).catch(()=>{});
-    bannedIPs.add(req.ip);
+    banInBackground(req.ip, 'honeypot', 'Visited fake /administrator');
     res.send('<html><body><h2>Login</h2><form><input name="u" placeholder="Username"><input type="password" name="p"><button>Login</button></form></body></html>');
 });
 app.post('/administrator', (req, res) => {
     SecurityLog.create({ type:'HONEYPOT_LOGIN', ip:req.ip, path:'/administrator', detail:'Hacker tried fake login' }).catch(()=>{});
-    bannedIPs.add(req.ip);
+    banInBackground(req.ip, 'honeypot', 'Tried to log in at fake /administrator');
     res.send('<html><body><p>Invalid credentials</p></body></html>');
 });
 app.get('/wp-login.php', (req, res) => {
     SecurityLog.create({ type:'HONEYPOT', ip:req.ip, path:'/wp-login.php', detail:'WordPress honeypot hit' }).catch(()=>{});
-    bannedIPs.add(req.ip);
+    banInBackground(req.ip, 'honeypot', 'WordPress honeypot hit');
     res.send('<html><body>WordPress</body></html>');
 });
 
@@ -1718,9 +4730,12 @@ if (SITE_URL) {
 }
 
 // ================= MESSAGING: ADMIN SENDS TO USER =================
-app.post('/api/admin/message/send', auth, async (req, res) => {
+app.post('/api/admin/message/send', auth, can('messages'), validate({ body: {
+    userEmail: field.email(),
+    subject: field.string({ optional: true, max: 200 }),
+    text: field.string({ max: 5000 })
+} }), async (req, res) => {
     try {
-        if (req.user.email !== ADMIN_EMAIL) return res.status(403).json({ error: 'Admin only' });
         const { userEmail, subject, text } = req.body;
         if (!userEmail || !text) return res.status(400).json({ error: 'userEmail and text required' });
         const user = await User.findOne({ email: userEmail });
@@ -1741,7 +4756,7 @@ app.post('/api/admin/message/send', auth, async (req, res) => {
 });
 
 // ================= MESSAGING: USER REPLIES =================
-app.post('/api/messages/reply', auth, async (req, res) => {
+app.post('/api/messages/reply', auth, validate({ body: { text: field.string({ max: 5000 }) } }), async (req, res) => {
     try {
         const { text } = req.body;
         if (!text) return res.status(400).json({ error: 'Message text required' });
@@ -1770,18 +4785,16 @@ app.get('/api/messages', auth, async (req, res) => {
 });
 
 // ================= MESSAGING: ADMIN GETS ALL THREADS =================
-app.get('/api/admin/messages', auth, async (req, res) => {
+app.get('/api/admin/messages', auth, can('messages'), async (req, res) => {
     try {
-        if (req.user.email !== ADMIN_EMAIL) return res.status(403).json({ error: 'Admin only' });
         const threads = await Message.find().sort({ lastUpdated: -1 });
         res.json({ threads });
     } catch(err) { res.status(500).json({ error: err.message }); }
 });
 
 // ================= MESSAGING: ADMIN READS A THREAD =================
-app.get('/api/admin/messages/:userEmail', auth, async (req, res) => {
+app.get('/api/admin/messages/:userEmail', auth, can('messages'), async (req, res) => {
     try {
-        if (req.user.email !== ADMIN_EMAIL) return res.status(403).json({ error: 'Admin only' });
         const thread = await Message.findOne({ userEmail: req.params.userEmail });
         if (!thread) return res.json({ thread: null });
         // Mark user replies as read
@@ -1793,9 +4806,8 @@ app.get('/api/admin/messages/:userEmail', auth, async (req, res) => {
 });
 
 // ================= MESSAGING: ADMIN UNREAD COUNT =================
-app.get('/api/admin/messages/unread/count', auth, async (req, res) => {
+app.get('/api/admin/messages/unread/count', auth, can('messages'), async (req, res) => {
     try {
-        if (req.user.email !== ADMIN_EMAIL) return res.status(403).json({ error: 'Admin only' });
         const total = await Message.aggregate([{ $group: { _id: null, total: { $sum: '$adminUnread' } } }]);
         res.json({ unread: total[0]?.total || 0 });
     } catch(err) { res.status(500).json({ error: err.message }); }
@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCidr, cidrContains } = require('../utils/cidr');
+
+test('an IPv6 address with a zone ID is read without the zone', () => {
+    assert.equal(parseCidr('fe80::1%eth0').cidr, parseCidr('fe80::1').cidr);
+    assert.equal(cidrContains(parseCidr('fe80::/64'), 'fe80::1%eth0'), true);
+});
+
+test('host bits are cleared and IPv4-mapped clients match IPv4 ranges', () => {
+    assert.equal(parseCidr('10.1.2.3/8').cidr, '10.0.0.0/8');
+    assert.equal(cidrContains(parseCidr('41.90.0.0/16'), '::ffff:41.90.7.8'), true);
+    assert.equal(cidrContains(parseCidr('41.90.0.0/16'), '41.91.0.1'), false);
+});
+
+test('malformed input is refused rather than thrown', () => {
+    for (const bad of ['', 'nope', '1.2.3.4/33', '1.2.3.4/8/8', '::1/129', 'fe80::zz%eth0']) {
+        assert.equal(parseCidr(bad), null, bad);
+    }
+});
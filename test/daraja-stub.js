@@ -0,0 +1,91 @@
+// A local stand-in for Daraja's OAuth and B2C endpoints, used by the tests and for trying
+// payouts by hand:
+//
+//   node test/daraja-stub.js 8089        then run the server with M_PESA_LIVE_URL=http://localhost:8089
+//
+// Each B2C request takes the next scripted reply (accepted once they run out). An accepted request
+// is followed by its result, POSTed to the request's ResultURL, unless `results` is false.
+//
+// Replies: { accept: true, resultCode?, resultDesc? }   Daraja queues it; the result follows
+//          { responseCode: '1', description }            ResponseCode other than "0"
+//          { status: 400, errorCode, errorMessage }      an error body from Daraja
+//          { status: 500 }                               a 5xx with no Daraja body
+//          { drop: true }                                connection closed without an answer
+//          { hang: true }                                never answers (for client timeouts)
+
+const http = require('http');
+const axios = require('axios');
+
+function startDarajaStub({ port = 0, replies = [], results = true, resultDelayMs = 200 } = {}) {
+    const requests = [];
+    const hung = new Set();
+    let seq = 0;
+
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            const body = raw ? JSON.parse(raw) : null;
+            requests.push({ method: req.method, path: req.url, headers: req.headers, body });
+            const send = (status, data) => {
+                res.writeHead(status, { 'Content-Type': 'application/json' });
+                res.end(data === undefined ? '' : JSON.stringify(data));
+            };
+
+            if (req.url.startsWith('/oauth/v1/generate')) return send(200, { access_token: 'stub-token', expires_in: '3599' });
+            if (req.url !== '/mpesa/b2c/v3/paymentrequest') return send(404, { errorCode: '404.001.01', errorMessage: 'Not found' });
+
+            const reply = replies.shift() || { accept: true };
+            if (reply.hang) return hung.add(res);
+            if (reply.drop) return req.socket.destroy();
+            if (reply.status) {
+                return send(reply.status, reply.errorCode ? { requestId: 'stub', errorCode: reply.errorCode, errorMessage: reply.errorMessage || '' } : undefined);
+            }
+            if (reply.responseCode) {
+                return send(200, { ResponseCode: reply.responseCode, ResponseDescription: reply.description || 'Rejected' });
+            }
+
+            const conversationId = `AG_STUB_${++seq}`;
+            send(200, {
+                ConversationID: conversationId,
+                OriginatorConversationID: body.OriginatorConversationID,
+                ResponseCode: '0',
+                ResponseDescription: 'Accept the service request successfully.'
+            });
+            if (results && body.ResultURL) {
+                const resultCode = reply.resultCode || 0;
+                const result = {
+                    Result: {
+                        ResultType: 0, ResultCode: resultCode,
+                        ResultDesc: reply.resultDesc || (resultCode ? 'The balance is insufficient for the transaction.' : 'The service request is processed successfully.'),
+                        OriginatorConversationID: body.OriginatorConversationID,
+                        ConversationID: conversationId,
+                        TransactionID: resultCode ? '' : `STUB${String(seq).padStart(6, '0')}`,
+                        ResultParameters: { ResultParameter: [{ Key: 'TransactionAmount', Value: body.Amount }] }
+                    }
+                };
+                setTimeout(() => axios.post(body.ResultURL, result).catch(err => console.error('daraja-stub: result not delivered:', err.message)), resultDelayMs);
+            }
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(port, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                requests,
+                replies,
+                close: () => new Promise(done => {
+                    for (const res of hung) res.destroy();
+                    server.close(done);
+                })
+            });
+        });
+    });
+}
+
+module.exports = { startDarajaStub };
+
+if (require.main === module) {
+    startDarajaStub({ port: Number(process.argv[2] || 8089) }).then(stub => console.log(`Daraja stub listening on ${stub.url}`));
+}
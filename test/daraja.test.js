@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const daraja = require('../utils/daraja');
+const { startDarajaStub } = require('./daraja-stub');
+
+const PAYOUT_RULES = { maxAttempts: 3, retryMinutes: [5, 30, 120] };
+
+function b2cPayload(originatorConversationId, resultUrl = '') {
+    return {
+        OriginatorConversationID: originatorConversationId, InitiatorName: 'api', SecurityCredential: 'x',
+        CommandID: 'BusinessPayment', Amount: 950, PartyA: '600000', PartyB: '254712345678',
+        Remarks: 'test', QueueTimeOutURL: '', ResultURL: resultUrl, Occasion: 'Withdrawal'
+    };
+}
+
+// What a failed b2cPayment call ends as: 'retry' when it may be resent, else 'unknown'
+async function sendOutcome(client, id) {
+    try {
+        await client.b2cPayment(b2cPayload(id));
+        return 'sent';
+    } catch (err) {
+        return daraja.isB2CRejection(err) ? 'retry' : 'unknown';
+    }
+}
+
+test('callback ids are taken only as non-empty strings', () => {
+    assert.equal(daraja.callbackId(' ws_CO_123 '), 'ws_CO_123');
+    for (const bad of [{ $ne: null }, ['ws_CO_123'], 123, null, undefined, '', '   ', 'x'.repeat(101)]) {
+        assert.equal(daraja.callbackId(bad), null, JSON.stringify(bad));
+    }
+});
+
+test('B2C requests against the stub: only a clear refusal may be resent', async () => {
+    const stub = await startDarajaStub({
+        results: false,
+        replies: [
+            { accept: true },
+            { responseCode: '1', description: 'Invalid initiator' },
+            { status: 400, errorCode: '400.002.02', errorMessage: 'Bad Request - Invalid Amount' },
+            { status: 500 },
+            { drop: true },
+            { hang: true }
+        ]
+    });
+    try {
+        const client = daraja.createDarajaClient({ baseUrl: stub.url, consumerKey: 'k', consumerSecret: 's', timeout: 300 });
+        const sent = await client.b2cPayment(b2cPayload('orig-1'));
+        assert.equal(sent.OriginatorConversationID, 'orig-1');
+        assert.match(sent.ConversationID, /^AG_STUB_/);
+        const request = stub.requests.find(r => r.path === '/mpesa/b2c/v3/paymentrequest');
+        assert.equal(request.headers.authorization, 'Bearer stub-token');
+        assert.equal(request.body.OriginatorConversationID, 'orig-1');
+
+        assert.equal(await sendOutcome(client, 'orig-2'), 'retry');    // ResponseCode "1"
+        assert.equal(await sendOutcome(client, 'orig-3'), 'retry');    // 400 with errorCode
+        assert.equal(await sendOutcome(client, 'orig-4'), 'unknown');  // 500, no body
+        assert.equal(await sendOutcome(client, 'orig-5'), 'unknown');  // connection dropped
+        assert.equal(await sendOutcome(client, 'orig-6'), 'unknown');  // timed out
+    } finally {
+        await stub.close();
+    }
+});
+
+test('the stub posts a result that reads as paid for the attempt it answers', async () => {
+    let resolveResult;
+    const received = new Promise(resolve => { resolveResult = resolve; });
+    const receiver = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', c => { raw += c; });
+        req.on('end', () => { res.end('{}'); resolveResult(JSON.parse(raw)); });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    const stub = await startDarajaStub({ resultDelayMs: 10 });
+    try {
+        const client = daraja.createDarajaClient({ baseUrl: stub.url, consumerKey: 'k', consumerSecret: 's' });
+        const sent = await client.b2cPayment(b2cPayload('orig-9', `http://127.0.0.1:${receiver.address().port}/result`));
+        const result = daraja.readB2CResult(await received);
+        assert.equal(result.conversationId, sent.ConversationID);
+        assert.match(result.receipt, /^STUB/);
+        const payout = { state: 'sent', conversationId: sent.ConversationID, originatorConversationId: 'orig-9' };
+        assert.equal(daraja.b2cResultAction(payout, result), 'paid');
+    } finally {
+        await stub.close();
+        await new Promise(resolve => receiver.close(resolve));
+    }
+});
+
+test('readB2CResult takes the wrapped or bare body and drops anything that is not a string id', () => {
+    const body = {
+        Result: {
+            ResultCode: '0', ResultDesc: 'ok', ConversationID: 'AG_1', OriginatorConversationID: { $ne: null },
+            ResultParameters: { ResultParameter: [{ Key: 'TransactionReceipt', Value: 'QKX1' }] }
+        }
+    };
+    assert.deepEqual(daraja.readB2CResult(body), {
+        conversationId: 'AG_1', originatorConversationId: null, resultCode: 0, resultDesc: 'ok', receipt: 'QKX1'
+    });
+    assert.equal(daraja.readB2CResult(body.Result).conversationId, 'AG_1');
+    assert.deepEqual(daraja.readB2CResult(null), { conversationId: null, originatorConversationId: null, resultCode: null, resultDesc: '', receipt: '' });
+    assert.equal(daraja.readB2CResult({ Result: { ResultCode: '' } }).resultCode, null);
+});
+
+test('results for an earlier attempt are stale; repeats change nothing', () => {
+    const payout = { state: 'sent', conversationId: 'AG_2', originatorConversationId: 'orig-2' };
+    const paid = { conversationId: 'AG_2', originatorConversationId: 'orig-2', resultCode: 0 };
+    const failed = { ...paid, resultCode: 2001 };
+    assert.equal(daraja.b2cResultAction(payout, { conversationId: 'AG_1', originatorConversationId: 'orig-1', resultCode: 0 }), 'stale');
+    // Matched by our own id alone, e.g. when the send response was lost
+    assert.equal(daraja.b2cResultAction({ ...payout, state: 'unknown', conversationId: null }, { originatorConversationId: 'orig-2', resultCode: 0 }), 'paid');
+    assert.equal(daraja.b2cResultAction(payout, failed), 'failed');
+    assert.equal(daraja.b2cResultAction({ ...payout, state: 'success' }, paid), 'duplicate');
+    assert.equal(daraja.b2cResultAction({ ...payout, state: 'retry' }, failed), 'duplicate');
+    assert.equal(daraja.b2cResultAction({ ...payout, state: 'failed' }, failed), 'duplicate');
+    // A late success still counts: the money went out
+    assert.equal(daraja.b2cResultAction({ ...payout, state: 'failed' }, paid), 'paid');
+});
+
+test('a queue timeout retries only the attempt in flight', () => {
+    const result = { conversationId: 'AG_3', originatorConversationId: 'orig-3' };
+    const payout = { conversationId: 'AG_3', originatorConversationId: 'orig-3' };
+    assert.equal(daraja.b2cTimeoutAction({ ...payout, state: 'sent' }, result), 'retry');
+    assert.equal(daraja.b2cTimeoutAction({ ...payout, state: 'unknown' }, result), 'retry');
+    assert.equal(daraja.b2cTimeoutAction({ ...payout, state: 'success' }, result), 'ignore');
+    assert.equal(daraja.b2cTimeoutAction({ ...payout, state: 'retry' }, result), 'ignore');
+    assert.equal(daraja.b2cTimeoutAction({ state: 'sent', conversationId: 'AG_4', originatorConversationId: 'orig-4' }, result), 'stale');
+});
+
+test('failed attempts back off and give up after the last one', () => {
+    const now = Date.parse('2026-10-19T10:00:00Z');
+    const at = mins => new Date(now + mins * 60000);
+    assert.deepEqual(daraja.nextPayoutAttempt(1, { ...PAYOUT_RULES, now }), { state: 'retry', nextAttemptAt: at(5) });
+    assert.deepEqual(daraja.nextPayoutAttempt(2, { ...PAYOUT_RULES, now }), { state: 'retry', nextAttemptAt: at(30) });
+    assert.deepEqual(daraja.nextPayoutAttempt(3, { ...PAYOUT_RULES, now }), { state: 'failed', nextAttemptAt: null });
+    // With more attempts than waits, the last wait repeats
+    assert.deepEqual(daraja.nextPayoutAttempt(4, { maxAttempts: 6, retryMinutes: [5, 30, 120], now }), { state: 'retry', nextAttemptAt: at(120) });
+});
+
+test('unknown, then a queue timeout, then failed results end in failed', () => {
+    // Follows one withdrawal the way sendWithdrawalPayout and the callbacks move it
+    const payout = { state: 'unknown', attempts: 1, conversationId: null, originatorConversationId: 'orig-a' };
+    const apply = next => Object.assign(payout, next);
+
+    assert.equal(daraja.b2cTimeoutAction(payout, { originatorConversationId: 'orig-a' }), 'retry');
+    apply(daraja.nextPayoutAttempt(payout.attempts, PAYOUT_RULES));
+    assert.equal(payout.state, 'retry');
+
+    for (const attempt of [2, 3]) {
+        apply({ state: 'sent', attempts: attempt, conversationId: `AG_${attempt}`, originatorConversationId: `orig-${attempt}` });
+        const result = { conversationId: `AG_${attempt}`, originatorConversationId: `orig-${attempt}`, resultCode: 2001 };
+        assert.equal(daraja.b2cResultAction(payout, result), 'failed');
+        apply(daraja.nextPayoutAttempt(payout.attempts, PAYOUT_RULES));
+    }
+    assert.deepEqual({ state: payout.state, nextAttemptAt: payout.nextAttemptAt }, { state: 'failed', nextAttemptAt: null });
+    // The first attempt's result turning up now is only logged
+    assert.equal(daraja.b2cResultAction(payout, { originatorConversationId: 'orig-a', resultCode: 0 }), 'stale');
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEarningsEngine, addDays } = require('../utils/earnings');
+
+// An engine whose clock reads `iso`
+function at(iso, opts = {}) {
+    return createEarningsEngine({ clock: () => new Date(iso), ...opts });
+}
+
+test('business date turns over at Nairobi midnight, not UTC midnight', () => {
+    // 20:59 UTC is 23:59 in Nairobi (UTC+3)
+    assert.equal(at('2026-03-10T20:59:59Z').dateKey(), '2026-03-10');
+    assert.equal(at('2026-03-10T21:00:00Z').dateKey(), '2026-03-11');
+    // Still the 10th in UTC, already the 11th in Nairobi
+    assert.equal(at('2026-03-10T23:30:00Z').dateKey(), '2026-03-11');
+});
+
+test('Nairobi stays UTC+3 across the dates other zones change clocks', () => {
+    // Europe and North America switch in late March / early November; Nairobi has no DST
+    for (const day of ['2026-03-08', '2026-03-29', '2026-10-25', '2026-11-01']) {
+        assert.equal(at(`${day}T20:59:59Z`).dateKey(), day);
+        assert.equal(at(`${day}T21:00:00Z`).dateKey(), addDays(day, 1));
+    }
+});
+
+test('weekday follows the business zone', () => {
+    // Friday 2026-03-13 22:00 UTC is Saturday 01:00 in Nairobi
+    assert.equal(at('2026-03-13T22:00:00Z').weekday(), 6);
+    assert.equal(at('2026-03-13T22:00:00Z', { timeZone: 'UTC' }).weekday(), 5);
+});
+
+test('a fridge earns from the day after purchase', () => {
+    const engine = at('2026-03-10T06:00:00Z');
+    // Bought 23:30 Nairobi on the 8th (20:30 UTC), so the 8th is the purchase day
+    const holding = { boughtAt: new Date('2026-03-08T20:30:00Z') };
+    assert.deepEqual(engine.dueEarningDates(holding), ['2026-03-09', '2026-03-10']);
+    assert.deepEqual(at('2026-03-08T20:45:00Z').dueEarningDates(holding), []);
+});
+
+test('catch-up covers every missed date, however many', () => {
+    const engine = at('2026-05-11T10:00:00Z');
+    const holding = { boughtAt: new Date('2026-03-01T10:00:00Z'), lastEarnedAt: new Date('2026-04-01T10:00:00Z') };
+    const dates = engine.dueEarningDates(holding);
+    assert.equal(dates.length, 40);
+    assert.equal(dates[0], '2026-04-02');
+    assert.equal(dates[dates.length - 1], '2026-05-11');
+    // One per date, across the month boundary
+    assert.equal(new Set(dates).size, dates.length);
+    assert.ok(dates.includes('2026-04-30') && dates.includes('2026-05-01'));
+});
+
+test('nothing is due twice on the same date', () => {
+    const engine = at('2026-03-10T18:00:00Z');
+    // Credited at 00:05 Nairobi today
+    const holding = { boughtAt: new Date('2026-03-01T00:00:00Z'), lastEarnedAt: new Date('2026-03-09T21:05:00Z') };
+    assert.deepEqual(engine.dueEarningDates(holding), []);
+});
+
+test('dueDailyItems skips credited days, offers and inactive or unpaid holdings', () => {
+    const engine = at('2026-03-10T06:00:00Z');
+    const boughtAt = new Date('2026-03-07T06:00:00Z');
+    const holdings = [
+        { _id: 'a', fridgeId: '4ft', dailyEarn: 50, boughtAt, lastEarnedAt: null },
+        { _id: 'b', fridgeId: 'offer1', dailyEarn: 500, boughtAt },
+        { _id: 'c', fridgeId: '4ft', dailyEarn: 50, boughtAt, status: 'revoked' },
+        { _id: 'd', fridgeId: '4ft', dailyEarn: 0, boughtAt }
+    ];
+    const items = engine.dueDailyItems(holdings, new Set(['a|2026-03-09']));
+    assert.deepEqual(items.map(i => `${i.fridgeRef}|${i.date}|${i.amount}`), ['a|2026-03-08|50', 'a|2026-03-10|50']);
+});
+
+test('offers pay once their window has ended', () => {
+    const engine = at('2026-03-10T12:00:00Z');
+    const offer = { fridgeId: 'offer1', endTime: new Date('2026-03-10T11:59:00Z') };
+    assert.equal(engine.offerDue(offer), true);
+    assert.equal(engine.offerDue({ ...offer, earningAdded: true }), false);
+    assert.equal(engine.offerDue({ ...offer, endTime: new Date('2026-03-10T12:01:00Z') }), false);
+    assert.equal(engine.offerExpired({ startTime: new Date('2026-03-10T00:00:00Z'), durationHrs: 12 }), true);
+    assert.equal(engine.offerExpired({ startTime: new Date('2026-03-10T00:00:00Z'), durationHrs: 13 }), false);
+});
+
+test('an unknown time zone fails at construction', () => {
+    assert.throws(() => createEarningsEngine({ timeZone: 'Africa/Atlantis' }), RangeError);
+});
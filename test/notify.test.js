@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createNotifier } = require('../utils/notify');
+
+test('with nothing configured, neither channel is offered and sending fails', async () => {
+    const notifier = createNotifier({ env: {} });
+    assert.equal(notifier.canEmail, false);
+    assert.equal(notifier.canSms, false);
+    await assert.rejects(notifier.email('a@b.co', 'Hi', 'text'), /SMTP_HOST/);
+    await assert.rejects(notifier.sms('254712345678', 'text'), /SMS_PROVIDER/);
+});
+
+test('messages go to the injected mailer and SMS sender as given', async () => {
+    const mails = [], texts = [];
+    const notifier = createNotifier({
+        env: {},
+        mailer: async msg => { mails.push(msg); },
+        smsSender: async msg => { texts.push(msg); }
+    });
+    assert.equal(notifier.canEmail, true);
+    assert.equal(notifier.canSms, true);
+    await notifier.email('a@b.co', 'Your code', 'Code 123456');
+    await notifier.sms('254712345678', 'Code 654321');
+    assert.deepEqual(mails, [{ to: 'a@b.co', subject: 'Your code', text: 'Code 123456' }]);
+    assert.deepEqual(texts, [{ to: '254712345678', text: 'Code 654321' }]);
+});
+
+test('a delivery failure reaches the caller', async () => {
+    const notifier = createNotifier({ env: {}, smsSender: async () => { throw new Error('gateway down'); } });
+    await assert.rejects(notifier.sms('254712345678', 'text'), /gateway down/);
+});
+
+test('SMS_PROVIDER picks a built-in sender; an unknown one fails at construction', async () => {
+    assert.equal(createNotifier({ env: { SMS_PROVIDER: 'console' } }).canSms, true);
+    assert.throws(() => createNotifier({ env: { SMS_PROVIDER: 'carrier-pigeon' } }), /Unknown SMS_PROVIDER/);
+});
+
+test('SMTP_HOST builds a mailer', () => {
+    // nodemailer connects lazily, so nothing is sent or opened here
+    const notifier = createNotifier({ env: { SMTP_HOST: 'localhost', SMTP_PORT: '1025' } });
+    assert.equal(notifier.canEmail, true);
+});
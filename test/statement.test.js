@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseCsv, parseMpesaStatement, statementPhoneMatches } = require('../utils/statement');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+test('quoted cells keep their commas, escaped quotes and line breaks', () => {
+    assert.deepEqual(parseCsv('a,"b, c","say ""hi""","two\nlines"\r\n1,2,3,4'), [
+        ['a', 'b, c', 'say "hi"', 'two\nlines'],
+        ['1', '2', '3', '4']
+    ]);
+});
+
+test('a statement export is read from its header row, completed rows only', () => {
+    const lines = parseMpesaStatement('﻿' + fixture('statement.csv'));
+    assert.deepEqual(lines.map(l => l.receipt), ['QE11AAA001', 'QE11AAA002', 'QE11AAA002', 'QE11AAA004']);
+
+    const [payment, payout, charge, masked] = lines;
+    assert.equal(payment.details, 'Customer Payment to Till, ref "4ft fridge"');
+    assert.equal(payment.paidIn, 1500);
+    assert.equal(payment.phone, '254712345678');
+    assert.equal(payment.completedAt.toISOString(), '2026-05-01T07:23:45.000Z');
+
+    // Day-first dates and a comma inside the quoted name
+    assert.equal(payout.completedAt.toISOString(), '2026-05-01T08:00:00.000Z');
+    assert.equal(payout.otherParty, '2547****5678 - JOHN, OTIENO');
+    assert.equal(payout.phone, '2547****5678');
+    assert.equal(payout.withdrawn, 950);
+
+    // The charge shares the payout's receipt but is its own line
+    assert.equal(charge.withdrawn, 15);
+    assert.equal(charge.phone, '');
+    assert.equal(masked.phone, '0712***678');
+});
+
+test('a row repeated exactly is kept once', () => {
+    const lines = parseMpesaStatement(fixture('statement.csv'));
+    assert.equal(lines.filter(l => l.receipt === 'QE11AAA001').length, 1);
+});
+
+test('exports without the expected headers are refused with a reason', () => {
+    assert.throws(() => parseMpesaStatement(fixture('unknown-header.csv')), /No "Receipt No\." header found/);
+    assert.throws(() => parseMpesaStatement(fixture('no-amount-columns.csv')), /missing the "Paid In" or "Withdrawn" column/);
+    assert.throws(() => parseMpesaStatement(''), /No "Receipt No\." header found/);
+});
+
+test('masked statement numbers match on the digits they show', () => {
+    assert.equal(statementPhoneMatches('2547****5678', '0712345678'), true);
+    assert.equal(statementPhoneMatches('0712***678', '+254712345678'), true);
+    assert.equal(statementPhoneMatches('+2547****5678', '254712345678'), true);
+    assert.equal(statementPhoneMatches('254712345678', '0712 345 678'), true);
+
+    assert.equal(statementPhoneMatches('2547****5679', '0712345678'), false);
+    assert.equal(statementPhoneMatches('0713***678', '0712345678'), false);
+    assert.equal(statementPhoneMatches('254712345679', '0712345678'), false);
+});
+
+test('a mask that shows too little matches no one', () => {
+    assert.equal(statementPhoneMatches('254*********', '0712345678'), false);
+    assert.equal(statementPhoneMatches('2547****78', '0712345678'), false);
+    assert.equal(statementPhoneMatches('***678', '0712345678'), false);
+    assert.equal(statementPhoneMatches('', '0712345678'), false);
+    assert.equal(statementPhoneMatches('2547****5678', ''), false);
+});
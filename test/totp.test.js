@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const totp = require('../utils/totp');
+
+// RFC 6238 appendix B, SHA1, secret "12345678901234567890". The RFC lists 8 digits; a
+// 6-digit code is the same number mod 10^6, i.e. its last six digits.
+const SECRET = totp.base32Encode(Buffer.from('12345678901234567890', 'ascii'));
+const VECTORS = [
+    [59, '94287082'],
+    [1111111109, '07081804'],
+    [1111111111, '14050471'],
+    [1234567890, '89005924'],
+    [2000000000, '69279037'],
+    [20000000000, '65353130']
+];
+
+test('RFC 6238 SHA1 test vectors', () => {
+    for (const [seconds, expected] of VECTORS) {
+        const step = totp.timeStep(seconds * 1000);
+        assert.equal(totp.hotp(SECRET, step), expected.slice(-6), `T=${seconds}`);
+        assert.equal(totp.verifyTotp(SECRET, expected.slice(-6), { now: seconds * 1000 }), step, `T=${seconds}`);
+    }
+});
+
+test('base32 round-trips and ignores spacing and case', () => {
+    const buf = Buffer.from('12345678901234567890', 'ascii');
+    assert.equal(SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    assert.deepEqual(totp.base32Decode(SECRET.toLowerCase().match(/.{4}/g).join(' ')), buf);
+    assert.throws(() => totp.base32Decode('GEZ1'), /Invalid base32/);
+});
+
+test('codes one step either side are accepted, two steps are not', () => {
+    const now = 1234567890 * 1000;
+    const step = totp.timeStep(now);
+    assert.equal(totp.verifyTotp(SECRET, totp.hotp(SECRET, step - 1), { now }), step - 1);
+    assert.equal(totp.verifyTotp(SECRET, totp.hotp(SECRET, step + 1), { now }), step + 1);
+    assert.equal(totp.verifyTotp(SECRET, totp.hotp(SECRET, step - 2), { now }), null);
+    assert.equal(totp.verifyTotp(SECRET, totp.hotp(SECRET, step + 2), { now }), null);
+    assert.equal(totp.verifyTotp(SECRET, totp.hotp(SECRET, step - 2), { now, window: 2 }), step - 2);
+});
+
+test('a code is refused once its step has been used', () => {
+    const now = 1234567890 * 1000;
+    const step = totp.timeStep(now);
+    const code = totp.hotp(SECRET, step);
+    assert.equal(totp.verifyTotp(SECRET, code, { now, lastStep: step - 1 }), step);
+    assert.equal(totp.verifyTotp(SECRET, code, { now, lastStep: step }), null);
+    // An older code still inside the window is used up too
+    assert.equal(totp.verifyTotp(SECRET, totp.hotp(SECRET, step - 1), { now, lastStep: step }), null);
+    assert.equal(totp.verifyTotp(SECRET, totp.hotp(SECRET, step + 1), { now, lastStep: step }), step + 1);
+});
+
+test('malformed codes are refused', () => {
+    for (const bad of ['', '12345', '1234567', 'abcdef', null]) {
+        assert.equal(totp.verifyTotp(SECRET, bad, { now: 59000 }), null);
+    }
+    assert.equal(totp.verifyTotp(SECRET, '287 082', { now: 59000 }), totp.timeStep(59000));
+});
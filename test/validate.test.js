@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validate, ...field } = require('../utils/validate');
+
+// Runs the middleware on a fake request; returns { status, body } on a 400, or the cleaned request
+function run(schemas, req) {
+    let out;
+    const res = { status: code => ({ json: body => { out = { status: code, body }; } }) };
+    validate(schemas)(req, res, () => { out = req; });
+    return out;
+}
+
+test('a field the route does not declare is rejected', () => {
+    const out = run({ body: { email: field.email() } }, { body: { email: 'a@b.co', isAdmin: true } });
+    assert.equal(out.status, 400);
+    assert.deepEqual(out.body.errors, [{ field: 'isAdmin', message: 'is not an accepted field' }]);
+});
+
+test('an operator object is refused where an email or id is expected', () => {
+    const schemas = { body: { email: field.email(), id: field.objectId() } };
+    const out = run(schemas, { body: { email: { $gt: '' }, id: { $ne: null } } });
+    assert.equal(out.status, 400);
+    assert.deepEqual(out.body.errors.map(e => e.field), ['email', 'id']);
+    assert.equal(run(schemas, { body: { email: 'not-an-email', id: '64b7f0c2a1b2c3d4e5f60718' } }).body.errors[0].field, 'email');
+});
+
+test('numeric strings become numbers, and integers must be whole', () => {
+    const schemas = { body: { amount: field.number({ min: 200 }), days: field.integer({ max: 30 }) } };
+    const out = run(schemas, { body: { amount: '250.5', days: '7' } });
+    assert.deepEqual(out.body, { amount: 250.5, days: 7 });
+    assert.equal(run(schemas, { body: { amount: 250, days: '7.5' } }).body.error, 'days must be a whole number');
+    assert.equal(run(schemas, { body: { amount: '199', days: 1 } }).body.error, 'amount must be at least 200');
+    assert.equal(run(schemas, { body: { amount: 'abc', days: 1 } }).body.error, 'amount must be a number');
+    assert.equal(run(schemas, { body: { amount: 250, days: 31 } }).body.error, 'days must be at most 30');
+});
+
+test('above is an exclusive minimum', () => {
+    const schemas = { body: { hours: field.number({ above: 0 }) } };
+    assert.equal(run(schemas, { body: { hours: 0 } }).body.error, 'hours must be more than 0');
+    assert.deepEqual(run(schemas, { body: { hours: 0.5 } }).body, { hours: 0.5 });
+});
+
+test('oneOf accepts only the listed values', () => {
+    const schemas = { body: { action: field.oneOf(['ban', 'unban']) } };
+    assert.deepEqual(run(schemas, { body: { action: 'ban' } }).body, { action: 'ban' });
+    assert.equal(run(schemas, { body: { action: 'BAN' } }).body.error, 'action must be one of: ban, unban');
+    assert.equal(run(schemas, { body: { action: ['ban'] } }).status, 400);
+});
+
+test('optional fields may be left out and nullable ones may be null', () => {
+    const schemas = { body: { note: field.string({ optional: true }), role: field.string({ nullable: true }) } };
+    assert.deepEqual(run(schemas, { body: { role: null } }).body, { role: null });
+    assert.deepEqual(run(schemas, { body: { note: null, role: 'ops' } }).body, { role: 'ops' });
+    assert.equal(run(schemas, { body: {} }).body.error, 'role is required');
+    assert.equal(run({ body: { name: field.string() } }, { body: { name: null } }).body.error, 'name is required');
+});
+
+test('strings are trimmed unless told not to, and an empty body is an empty object', () => {
+    const schemas = { body: { name: field.string(), password: field.string({ trim: false }) } };
+    assert.deepEqual(run(schemas, { body: { name: ' Ann ', password: ' pw ' } }).body, { name: 'Ann', password: ' pw ' });
+    assert.deepEqual(run({ body: {} }, { body: undefined }).body, {});
+    assert.equal(run({ body: {} }, { body: { x: 1 } }).status, 400);
+});
+
+test('query and path fields are named by their part', () => {
+    const out = run({ params: { id: field.objectId() } }, { params: { id: 'nope' } });
+    assert.equal(out.body.error, 'params.id must be an id');
+});
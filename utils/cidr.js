@@ -0,0 +1,68 @@
+// ================= IP ADDRESSES AND CIDR RANGES =================
+// IPv4 and IPv6 addresses as BigInt, so "is this address in that range" is one mask and compare.
+
+const net = require('net');
+
+// Node reports IPv4 clients on a dual-stack socket as "::ffff:1.2.3.4"
+function normalizeIp(ip) {
+    const s = String(ip || '').trim();
+    const m = s.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    return m ? m[1] : s;
+}
+
+function ipToBigInt(ip) {
+    const version = net.isIP(ip);
+    if (version === 4) {
+        return { version, value: ip.split('.').reduce((acc, part) => (acc << 8n) + BigInt(part), 0n) };
+    }
+    if (version !== 6) return null;
+
+    // A zone ID ("fe80::1%eth0") names the local interface and is not part of the address
+    let addr = ip.replace(/%.*$/, '');
+    // A trailing dotted quad ("::ffff:1.2.3.4", "64:ff9b::1.2.3.4") becomes two hex groups
+    const v4 = addr.match(/(\d+\.\d+\.\d+\.\d+)$/);
+    if (v4) {
+        const n = ipToBigInt(v4[1]).value;
+        addr = addr.slice(0, -v4[1].length) + (n >> 16n).toString(16) + ':' + (n & 0xffffn).toString(16);
+    }
+    const [head, tail] = addr.split('::');
+    const h = head ? head.split(':') : [];
+    const t = tail ? tail.split(':') : [];
+    const groups = tail === undefined ? h : [...h, ...Array(8 - h.length - t.length).fill('0'), ...t];
+    return { version, value: groups.reduce((acc, g) => (acc << 16n) + BigInt('0x' + g), 0n) };
+}
+
+function formatIp(value, version) {
+    if (version === 4) return [24n, 16n, 8n, 0n].map(shift => String((value >> shift) & 255n)).join('.');
+    const groups = [];
+    for (let i = 7; i >= 0; i--) groups.push(((value >> BigInt(i * 16)) & 0xffffn).toString(16));
+    return groups.join(':');
+}
+
+/**
+ * Parses "1.2.3.4", "10.0.0.0/8" or "2001:db8::/32". Host bits are cleared and IPv6 is written
+ * out in full, so the same range always gives the same `cidr` string ("10.1.2.3/8" -> "10.0.0.0/8").
+ * Returns { cidr, version, network, mask, prefix, single } or null when the input is not valid.
+ */
+function parseCidr(input) {
+    const [addr, bits, extra] = normalizeIp(input).split('/');
+    if (extra !== undefined || (bits !== undefined && !/^\d{1,3}$/.test(bits))) return null;
+    const ip = ipToBigInt(addr);
+    if (!ip) return null;
+
+    const width = ip.version === 4 ? 32 : 128;
+    const prefix = bits === undefined ? width : Number(bits);
+    if (prefix > width) return null;
+    const mask = prefix === 0 ? 0n : ((1n << BigInt(prefix)) - 1n) << BigInt(width - prefix);
+    const network = ip.value & mask;
+    const single = prefix === width;
+    return { cidr: formatIp(network, ip.version) + (single ? '' : '/' + prefix), version: ip.version, network, mask, prefix, single };
+}
+
+// `range` from parseCidr; `ip` an address string
+function cidrContains(range, ip) {
+    const addr = ipToBigInt(normalizeIp(ip));
+    return !!addr && addr.version === range.version && (addr.value & range.mask) === range.network;
+}
+
+module.exports = { normalizeIp, parseCidr, cidrContains };
@@ -0,0 +1,122 @@
+// ================= DARAJA CLIENT AND CALLBACK READING =================
+// The HTTP calls to Safaricom's Daraja API, and the rules for what a B2C answer means for a
+// payout. Kept free of the database so they can be tested against test/daraja-stub.js.
+
+const axios = require('axios');
+
+// An id from a callback body (CheckoutRequestID, ConversationID, TransID...). Anything but a
+// non-empty string, such as {"$ne": null}, gives null, so it can never act as a Mongo operator.
+function callbackId(value) {
+    if (typeof value !== 'string') return null;
+    const id = value.trim();
+    return id && id.length <= 100 ? id : null;
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.baseUrl         https://api.safaricom.co.ke, or a local stub when testing
+ * @param {string} opts.consumerKey
+ * @param {string} opts.consumerSecret
+ * @param {number} [opts.timeout]       ms before a request is given up on (default 30000)
+ */
+function createDarajaClient({ baseUrl, consumerKey, consumerSecret, timeout = 30000 }) {
+    async function token() {
+        const basic = Buffer.from(`${consumerKey}:${consumerSecret}`).toString('base64');
+        const res = await axios.get(`${baseUrl}/oauth/v1/generate?grant_type=client_credentials`, {
+            headers: { Authorization: `Basic ${basic}` }, timeout
+        });
+        return res.data.access_token;
+    }
+
+    // POSTs to an API path with a fresh token and returns the response body
+    async function post(path, payload) {
+        const accessToken = await token();
+        const res = await axios.post(`${baseUrl}${path}`, payload, { headers: { Authorization: `Bearer ${accessToken}` }, timeout });
+        return res.data;
+    }
+
+    return {
+        token,
+        post,
+        // A ResponseCode other than "0" is Daraja refusing the request; the error says so
+        async b2cPayment(payload) {
+            const data = await post('/mpesa/b2c/v3/paymentrequest', payload);
+            if (data.ResponseCode !== '0') {
+                const err = new Error(data.ResponseDescription || 'B2C request failed');
+                err.darajaRejected = true;
+                throw err;
+            }
+            return data; // contains ConversationID, OriginatorConversationID
+        }
+    };
+}
+
+// ── B2C payout outcomes ──
+
+// True only when Daraja answered and said no: a non-zero ResponseCode, or an error response
+// carrying Daraja's own errorCode. Nothing was queued, so sending again cannot pay twice.
+// A timeout, a dropped connection or a 5xx without that body may have been accepted.
+function isB2CRejection(err) {
+    return !!err.darajaRejected || !!(err.response && err.response.data && err.response.data.errorCode);
+}
+
+// Plain values from a result or queue-timeout body, given as { Result: {...} } or the Result itself
+function readB2CResult(body) {
+    const r = body && typeof body === 'object' ? (body.Result && typeof body.Result === 'object' ? body.Result : body) : {};
+    const params = Array.isArray(r.ResultParameters?.ResultParameter) ? r.ResultParameters.ResultParameter : [];
+    const code = r.ResultCode === undefined || r.ResultCode === null || r.ResultCode === '' ? NaN : Number(r.ResultCode);
+    return {
+        conversationId: callbackId(r.ConversationID),
+        originatorConversationId: callbackId(r.OriginatorConversationID),
+        resultCode: Number.isFinite(code) ? code : null,
+        resultDesc: typeof r.ResultDesc === 'string' ? r.ResultDesc.slice(0, 500) : '',
+        receipt: callbackId(r.TransactionID) || callbackId(params.find(p => p && p.Key === 'TransactionReceipt')?.Value) || ''
+    };
+}
+
+function resultIds(result) {
+    return [result.conversationId, result.originatorConversationId].filter(Boolean);
+}
+
+// Whether a result is for the payout's current attempt rather than one it has replaced
+function isCurrentAttempt(payout, result) {
+    const ids = resultIds(result);
+    return ids.includes(payout.conversationId) || ids.includes(payout.originatorConversationId);
+}
+
+/**
+ * What a result callback does to the payout it was matched to:
+ *   stale      for an earlier attempt: logged, nothing else, since a newer one may be in flight
+ *   duplicate  a repeated delivery of an outcome already applied
+ *   paid       the withdrawal is paid
+ *   failed     the attempt failed: retry with backoff, or give up (see nextPayoutAttempt)
+ */
+function b2cResultAction(payout, result) {
+    if (!isCurrentAttempt(payout, result)) return 'stale';
+    const paid = result.resultCode === 0;
+    if (payout.state === 'success') return 'duplicate';
+    if (!paid && (payout.state === 'retry' || payout.state === 'failed')) return 'duplicate';
+    return paid ? 'paid' : 'failed';
+}
+
+// A queue timeout means the request expired without being processed, so the attempt in flight
+// ('sent', or 'unknown' when its response was lost) can be retried; anything else is ignored
+function b2cTimeoutAction(payout, result) {
+    if (!isCurrentAttempt(payout, result)) return 'stale';
+    return payout.state === 'sent' || payout.state === 'unknown' ? 'retry' : 'ignore';
+}
+
+/**
+ * Where a payout goes after a failed attempt: `retry` with the wait retryMinutes gives for that
+ * attempt (the last entry repeats), or `failed` once `attempts` reaches maxAttempts.
+ */
+function nextPayoutAttempt(attempts, { maxAttempts, retryMinutes, now = Date.now() }) {
+    if (attempts >= maxAttempts) return { state: 'failed', nextAttemptAt: null };
+    const waitMins = retryMinutes[Math.min(Math.max(attempts, 1) - 1, retryMinutes.length - 1)];
+    return { state: 'retry', nextAttemptAt: new Date(now + waitMins * 60 * 1000) };
+}
+
+module.exports = {
+    callbackId, createDarajaClient,
+    isB2CRejection, readB2CResult, isCurrentAttempt, b2cResultAction, b2cTimeoutAction, nextPayoutAttempt
+};
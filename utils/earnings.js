@@ -0,0 +1,98 @@
+// ================= EARNINGS ENGINE =================
+// The accrual rules for normal and offer fridges, with no database or wall-clock access.
+// index.js wires it to MongoDB and the real clock; anything else can pass its own `clock`
+// and `timeZone` to replay a given moment.
+
+const DEFAULT_TIME_ZONE = 'Africa/Nairobi';
+
+function addDays(dateKey, n) {
+    const d = new Date(dateKey + 'T00:00:00Z');
+    d.setUTCDate(d.getUTCDate() + n);
+    return d.toISOString().slice(0, 10);
+}
+
+/**
+ * @param {object}   [opts]
+ * @param {Function} [opts.clock]    returns the current Date
+ * @param {string}   [opts.timeZone] IANA zone the business day follows
+ */
+function createEarningsEngine({ clock = () => new Date(), timeZone = DEFAULT_TIME_ZONE } = {}) {
+    // en-CA formats as YYYY-MM-DD; throws RangeError on an unknown zone, which is what we want at boot
+    const dayFormat = new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' });
+    const weekdayFormat = new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'short' });
+    const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+    const now = () => new Date(clock());
+
+    // Business-day key (YYYY-MM-DD) for a moment, defaulting to now
+    function dateKey(date = now()) {
+        return dayFormat.format(new Date(date));
+    }
+
+    // 0 = Sunday … 6 = Saturday, in the business zone
+    function weekday(date = now()) {
+        return WEEKDAYS.indexOf(weekdayFormat.format(new Date(date)));
+    }
+
+    // Every business date a normal holding earns for but has not been credited yet.
+    // A fridge earns from the day after it was bought, once per date, up to today, however
+    // long ago lastEarnedAt is.
+    function dueEarningDates(holding, today = dateKey()) {
+        if (!holding.boughtAt) return [];
+        let from = addDays(dateKey(holding.boughtAt), 1);
+        if (holding.lastEarnedAt) {
+            const next = addDays(dateKey(holding.lastEarnedAt), 1);
+            if (next > from) from = next;
+        }
+
+        const dates = [];
+        for (let d = from; d <= today; d = addDays(d, 1)) dates.push(d);
+        return dates;
+    }
+
+    function isOffer(holding) {
+        return !!holding.fridgeId && holding.fridgeId.startsWith('offer');
+    }
+
+    function isActive(holding) {
+        return !holding.status || holding.status === 'active';
+    }
+
+    /**
+     * What a set of holdings is owed in daily earnings today.
+     * `credited` is a Set of "fridgeRef|date" already paid (EarningDay records).
+     * Returns [{ fridgeRef, fridgeId, date, amount, prevLastEarnedAt }]
+     */
+    function dueDailyItems(holdings, credited = new Set(), today = dateKey()) {
+        const items = [];
+        for (const h of holdings || []) {
+            if (!h.fridgeId || isOffer(h) || !isActive(h)) continue;
+            const amount = h.dailyEarn || 0;
+            if (amount <= 0) continue;
+            for (const date of dueEarningDates(h, today)) {
+                const fridgeRef = String(h._id);
+                if (credited.has(fridgeRef + '|' + date)) continue;
+                items.push({ fridgeRef, fridgeId: h.fridgeId, date, amount, prevLastEarnedAt: h.lastEarnedAt || null });
+            }
+        }
+        return items;
+    }
+
+    // Offer holdings pay once, when their window has ended
+    function offerDue(holding, at = now()) {
+        if (!isOffer(holding) || !isActive(holding)) return false;
+        if (holding.earningAdded || !holding.endTime) return false;
+        return new Date(at) >= new Date(holding.endTime);
+    }
+
+    // A catalogue offer stops selling once startTime + durationHrs has passed
+    function offerExpired(fridge, at = now()) {
+        if (!fridge.startTime || !fridge.durationHrs) return false;
+        const endTime = new Date(fridge.startTime).getTime() + fridge.durationHrs * 3600 * 1000;
+        return new Date(at).getTime() >= endTime;
+    }
+
+    return { timeZone, now, dateKey, weekday, addDays, dueEarningDates, dueDailyItems, offerDue, offerExpired };
+}
+
+module.exports = { createEarningsEngine, addDays, DEFAULT_TIME_ZONE };
@@ -0,0 +1,74 @@
+// ================= OUTBOUND EMAIL / SMS =================
+// Email goes out over SMTP with nodemailer. In development point SMTP_HOST/SMTP_PORT at a local
+// catcher such as MailHog or smtp4dev (localhost:1025) and read the messages in its web UI.
+// SMS goes through whichever sender SMS_PROVIDER names; another provider is one more entry
+// in SMS_SENDERS, or pass `smsSender` to createNotifier.
+
+const nodemailer = require('nodemailer');
+const axios = require('axios');
+
+function createMailer(env) {
+    if (!env.SMTP_HOST) return null;
+    const transport = nodemailer.createTransport({
+        host: env.SMTP_HOST,
+        port: Number(env.SMTP_PORT || 587),
+        secure: env.SMTP_SECURE === 'true',
+        auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined
+    });
+    const from = env.MAIL_FROM || env.SMTP_USER || 'no-reply@localhost';
+    return ({ to, subject, text }) => transport.sendMail({ from, to, subject, text });
+}
+
+// Each entry builds an async ({ to, text }) sender; `to` is an international number, e.g. 254712345678
+const SMS_SENDERS = {
+    // Prints the message instead of sending it. Development only: it puts codes in the server log.
+    console: () => async ({ to, text }) => console.log(`📱 SMS to ${to}: ${text}`),
+
+    // POSTs { to, message } as JSON to SMS_WEBHOOK_URL, for a gateway of your own
+    webhook: env => ({ to, text }) => axios.post(env.SMS_WEBHOOK_URL, { to, message: text }, {
+        headers: env.SMS_WEBHOOK_TOKEN ? { Authorization: 'Bearer ' + env.SMS_WEBHOOK_TOKEN } : {},
+        timeout: 15000
+    }),
+
+    // Africa's Talking bulk SMS; AT_USERNAME=sandbox uses their simulator
+    africastalking: env => ({ to, text }) => {
+        const host = env.AT_USERNAME === 'sandbox' ? 'api.sandbox.africastalking.com' : 'api.africastalking.com';
+        const form = new URLSearchParams({ username: env.AT_USERNAME, to: '+' + to, message: text });
+        if (env.AT_SENDER_ID) form.set('from', env.AT_SENDER_ID);
+        return axios.post(`https://${host}/version1/messaging`, form.toString(), {
+            headers: { apiKey: env.AT_API_KEY, Accept: 'application/json', 'Content-Type': 'application/x-www-form-urlencoded' },
+            timeout: 15000
+        });
+    }
+};
+
+/**
+ * @param {object}   [opts]
+ * @param {object}   [opts.env]       where SMTP_* / SMS_* settings are read from
+ * @param {Function} [opts.mailer]    ({ to, subject, text }) => Promise, replaces SMTP
+ * @param {Function} [opts.smsSender] ({ to, text }) => Promise, replaces SMS_PROVIDER
+ */
+function createNotifier({ env = process.env, mailer, smsSender } = {}) {
+    if (mailer === undefined) mailer = createMailer(env);
+    if (smsSender === undefined && env.SMS_PROVIDER) {
+        const make = SMS_SENDERS[env.SMS_PROVIDER];
+        // Unknown provider is a config mistake: fail at boot rather than on the first reset
+        if (!make) throw new Error(`Unknown SMS_PROVIDER "${env.SMS_PROVIDER}". Use one of: ${Object.keys(SMS_SENDERS).join(', ')}`);
+        smsSender = make(env);
+    }
+
+    return {
+        canEmail: !!mailer,
+        canSms: !!smsSender,
+        async email(to, subject, text) {
+            if (!mailer) throw new Error('Email is not configured (set SMTP_HOST)');
+            await mailer({ to, subject, text });
+        },
+        async sms(to, text) {
+            if (!smsSender) throw new Error('SMS is not configured (set SMS_PROVIDER)');
+            await smsSender({ to, text });
+        }
+    };
+}
+
+module.exports = { createNotifier, createMailer, SMS_SENDERS };
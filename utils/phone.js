@@ -0,0 +1,33 @@
+// ================= PHONE NUMBERS =================
+// Kenyan M-Pesa numbers in the international form Daraja uses (254XXXXXXXXX), and comparing
+// them with the masked or hashed forms Safaricom sends back.
+
+const crypto = require('crypto');
+
+// Format phone to 254XXXXXXXXX
+function formatPhone(phone) {
+    const clean = String(phone).replace(/\s+/g, '').replace(/[^0-9+]/g, '');
+    if (clean.startsWith('+254')) return clean.slice(1);         // +254XXXXXXXXX → 254XXXXXXXXX
+    if (clean.startsWith('254'))  return clean;                  // already good
+    if (clean.startsWith('0'))    return '254' + clean.slice(1); // 07XXXXXXXX → 2547XXXXXXXX
+    return '254' + clean;
+}
+
+// C2B confirmations: Safaricom masks (2547***123) or hashes the payer's number, so compare in
+// whatever form it came. A mask keeps the full length, so the lengths must agree.
+function msisdnMatches(msisdn, phone) {
+    if (!msisdn || !phone) return false;
+    const mine = formatPhone(phone);
+    const theirs = String(msisdn);
+    if (/^[0-9a-f]{64}$/i.test(theirs)) {
+        return crypto.createHash('sha256').update(mine).digest('hex') === theirs.toLowerCase();
+    }
+    if (theirs.includes('*')) {
+        const [head] = theirs.split('*');
+        const tail = theirs.slice(theirs.lastIndexOf('*') + 1);
+        return theirs.length === mine.length && mine.startsWith(head) && mine.endsWith(tail);
+    }
+    return formatPhone(theirs) === mine;
+}
+
+module.exports = { formatPhone, msisdnMatches };
@@ -0,0 +1,119 @@
+// ================= M-PESA STATEMENT CSV =================
+// Parses the CSV export of an M-Pesa till/organisation statement. The export has a few
+// summary lines before the real header, so the header is found by its "Receipt No" cell.
+
+const { formatPhone } = require('./phone');
+
+// Splits CSV text into rows of cells, honouring quoted cells with commas and "" escapes
+function parseCsv(text) {
+    const rows = [];
+    let row = [], cell = '', quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else cell += ch;
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            row.push(cell); cell = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell); rows.push(row);
+            row = []; cell = '';
+        } else {
+            cell += ch;
+        }
+    }
+    if (cell !== '' || row.length) { row.push(cell); rows.push(row); }
+    return rows.filter(r => r.some(c => c.trim() !== ''));
+}
+
+function toAmount(value) {
+    const n = Number(String(value || '').replace(/[,\s]/g, ''));
+    return Number.isFinite(n) ? Math.abs(n) : 0;
+}
+
+// Statement times are Kenya local time, e.g. "2026-05-01 10:23:45" or "01-05-2026 10:23:45"
+function toKenyaDate(value) {
+    const v = String(value || '').trim();
+    let m = v.match(/^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?/);
+    if (!m) {
+        const d = v.match(/^(\d{2})[-/](\d{2})[-/](\d{4})[ T](\d{2}):(\d{2})(?::(\d{2}))?/);
+        if (d) m = [d[0], d[3], d[2], d[1], d[4], d[5], d[6]];
+    }
+    if (!m) return null;
+    return new Date(`${m[1]}-${m[2]}-${m[3]}T${m[4]}:${m[5]}:${m[6] || '00'}+03:00`);
+}
+
+// "254712345678 - JOHN DOE" or "0712***678 - JOHN DOE" -> "254712345678" / "0712***678"
+function otherPartyPhone(info) {
+    const m = String(info || '').match(/^\s*([0-9*+]{9,15})/);
+    return m ? m[1] : '';
+}
+
+// Statement exports mask the other party in local form and with any number of stars
+// ("0712***678", "+2547****5678"), so the length cannot be compared. The visible digits on both
+// ends still have to be there: a mask that hides everything but a digit or two matches no one.
+function statementPhoneMatches(masked, phone) {
+    if (!masked || !phone) return false;
+    const mine = formatPhone(phone);
+    const theirs = String(masked);
+    if (!theirs.includes('*')) return formatPhone(theirs) === mine;
+    let head = theirs.slice(0, theirs.indexOf('*'));
+    const tail = theirs.slice(theirs.lastIndexOf('*') + 1);
+    if (head.startsWith('+')) head = head.slice(1);
+    else if (head.startsWith('0')) head = '254' + head.slice(1);
+    if (head.length < 4 || tail.length < 3 || head.length + tail.length > mine.length) return false;
+    return mine.startsWith(head) && mine.endsWith(tail);
+}
+
+/**
+ * Returns one normalised line per completed statement row:
+ * { receipt, completedAt, details, paidIn, withdrawn, otherParty, phone }
+ * A row repeated exactly (receipt, time and amounts), as when two overlapping exports are pasted
+ * together, is kept once. Rows that only share a receipt, such as a transaction and its charge,
+ * are all kept.
+ */
+function parseMpesaStatement(text) {
+    const rows = parseCsv(String(text || '').replace(/^\uFEFF/, ''));
+    const headerIdx = rows.findIndex(r => r.some(c => /receipt\s*no/i.test(c)));
+    if (headerIdx === -1) throw new Error('No "Receipt No." header found. Upload the CSV statement export.');
+
+    const header = rows[headerIdx].map(c => c.trim().toLowerCase());
+    const col = (...names) => header.findIndex(h => names.some(n => h.startsWith(n)));
+    const idx = {
+        receipt:    col('receipt no'),
+        completed:  col('completion time', 'completion date'),
+        details:    col('details'),
+        status:     col('transaction status', 'status'),
+        paidIn:     col('paid in'),
+        withdrawn:  col('withdrawn', 'withdrawal'),
+        otherParty: col('other party info', 'other party')
+    };
+    if (idx.paidIn === -1 || idx.withdrawn === -1) throw new Error('Statement is missing the "Paid In" or "Withdrawn" column.');
+
+    const cell = (r, i) => (i === -1 ? '' : String(r[i] || '').trim());
+    const seen = new Set();
+    return rows.slice(headerIdx + 1)
+        .filter(r => cell(r, idx.receipt))
+        .filter(r => idx.status === -1 || /completed/i.test(cell(r, idx.status)))
+        .map(r => ({
+            receipt:     cell(r, idx.receipt).toUpperCase(),
+            completedAt: toKenyaDate(cell(r, idx.completed)),
+            details:     cell(r, idx.details),
+            paidIn:      toAmount(cell(r, idx.paidIn)),
+            withdrawn:   toAmount(cell(r, idx.withdrawn)),
+            otherParty:  cell(r, idx.otherParty),
+            phone:       otherPartyPhone(cell(r, idx.otherParty))
+        }))
+        .filter(line => {
+            const key = [line.receipt, line.completedAt && line.completedAt.getTime(), line.paidIn, line.withdrawn].join('|');
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+}
+
+module.exports = { parseCsv, parseMpesaStatement, statementPhoneMatches };
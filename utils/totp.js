@@ -0,0 +1,84 @@
+// ================= TOTP (RFC 6238) =================
+// Time-based one-time passwords as used by Google Authenticator, Authy, 1Password etc.
+// Only node's crypto is needed, so codes are checked fully offline.
+
+const crypto = require('crypto');
+
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+function base32Encode(buf) {
+    let bits = 0, value = 0, out = '';
+    for (const byte of buf) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            out += ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) out += ALPHABET[(value << (5 - bits)) & 31];
+    return out;
+}
+
+function base32Decode(str) {
+    const clean = String(str || '').toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0, value = 0;
+    const out = [];
+    for (const ch of clean) {
+        const idx = ALPHABET.indexOf(ch);
+        if (idx === -1) throw new Error('Invalid base32 secret');
+        value = (value << 5) | idx;
+        bits += 5;
+        if (bits >= 8) {
+            out.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(out);
+}
+
+// 160-bit secret, the size RFC 4226 recommends for HMAC-SHA1
+function generateSecret(bytes = 20) {
+    return base32Encode(crypto.randomBytes(bytes));
+}
+
+// RFC 4226 HOTP value for one counter
+function hotp(secret, counter) {
+    const msg = Buffer.alloc(8);
+    msg.writeBigUInt64BE(BigInt(counter));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(msg).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+    return String(code).padStart(DIGITS, '0');
+}
+
+function timeStep(now = Date.now()) {
+    return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Checks a code against the current step and `window` steps either side (clock drift).
+ * Steps up to `lastStep` (the last one accepted) are used up, so a code works once.
+ * Returns the matching step, for the caller to store as the new lastStep, or null.
+ */
+function verifyTotp(secret, code, { window = 1, now = Date.now(), lastStep = null } = {}) {
+    const given = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(given)) return null;
+    const current = timeStep(now);
+    const first = lastStep === null || lastStep === undefined ? current - window : Math.max(current - window, lastStep + 1);
+    for (let step = first; step <= current + window; step++) {
+        const expected = hotp(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(given))) return step;
+    }
+    return null;
+}
+
+// The key-uri format authenticator apps scan from a QR code
+function otpauthUrl({ secret, label, issuer }) {
+    const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP_SECONDS) });
+    return `otpauth://totp/${encodeURIComponent(issuer)}:${encodeURIComponent(label)}?${params}`;
+}
+
+module.exports = { base32Encode, base32Decode, generateSecret, hotp, timeStep, verifyTotp, otpauthUrl };
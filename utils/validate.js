@@ -0,0 +1,139 @@
+// ================= REQUEST VALIDATION =================
+// Every route declares the fields it takes. A request with a field that is not declared, or one
+// of the wrong type, gets a 400 before the handler runs, and the handler sees typed values only:
+// an object such as {"$ne": null} never reaches a Mongo query as an email, and "100" arrives as 100.
+//
+//   app.post('/api/withdraw', auth, validate({ body: { phone: string(), amount: number({ min: 200 }) } }), ...)
+//
+// Every builder takes { optional, nullable }. A missing optional field (or null, unless nullable)
+// is left out of the cleaned object, so handlers can keep testing `!== undefined`.
+
+// Each rule is { optional, nullable, clean(value, path, errors) }; clean returns the typed value
+// or pushes { field, message } onto errors
+function rule(clean, { optional = false, nullable = false } = {}) {
+    return { optional, nullable, clean };
+}
+
+function fail(errors, path, message) {
+    errors.push({ field: path, message });
+}
+
+/**
+ * @param {object} [opts]
+ * @param {number} [opts.min]     minimum length after trimming; 1 for a required field, else 0
+ * @param {number} [opts.max]     maximum length (default 1000)
+ * @param {RegExp} [opts.pattern] the trimmed value must match
+ * @param {string} [opts.hint]    what to say when it does not, e.g. "must be a 6-digit code"
+ * @param {boolean} [opts.trim]   default true; false for passwords, which are taken as typed
+ */
+function string({ min, max = 1000, pattern, hint, trim = true, ...opts } = {}) {
+    const least = min !== undefined ? min : (opts.optional ? 0 : 1);
+    return rule((value, path, errors) => {
+        if (typeof value !== 'string') return fail(errors, path, 'must be a string');
+        const s = trim ? value.trim() : value;
+        if (s.length < least) return fail(errors, path, least === 1 ? 'is required' : `must be at least ${least} characters`);
+        if (s.length > max) return fail(errors, path, `must be at most ${max} characters`);
+        if (pattern && s && !pattern.test(s)) return fail(errors, path, hint || 'is not in a valid format');
+        return s;
+    }, opts);
+}
+
+// Accepts a JSON number or a numeric string ("250" from a form field); NaN and Infinity never pass.
+// `above` is an exclusive minimum, for amounts that must be positive but may be fractional.
+function number({ min, max, above, integer = false, ...opts } = {}) {
+    return rule((value, path, errors) => {
+        const n = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (typeof n !== 'number' || !Number.isFinite(n)) return fail(errors, path, 'must be a number');
+        if (integer && !Number.isInteger(n)) return fail(errors, path, 'must be a whole number');
+        if (min !== undefined && n < min) return fail(errors, path, `must be at least ${min}`);
+        if (above !== undefined && !(n > above)) return fail(errors, path, `must be more than ${above}`);
+        if (max !== undefined && n > max) return fail(errors, path, `must be at most ${max}`);
+        return n;
+    }, opts);
+}
+
+function integer(opts = {}) {
+    return number({ ...opts, integer: true });
+}
+
+// true/false, or "true"/"false" as inline onclick handlers send them
+function boolean(opts = {}) {
+    return rule((value, path, errors) => {
+        if (value === true || value === 'true') return true;
+        if (value === false || value === 'false') return false;
+        return fail(errors, path, 'must be true or false');
+    }, opts);
+}
+
+function oneOf(values, opts = {}) {
+    return rule((value, path, errors) => {
+        if (!values.includes(value)) return fail(errors, path, `must be one of: ${values.join(', ')}`);
+        return value;
+    }, opts);
+}
+
+function email(opts = {}) {
+    return string({ max: 254, pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, hint: 'must be an email address', ...opts });
+}
+
+function objectId(opts = {}) {
+    return string({ max: 24, pattern: /^[a-f0-9]{24}$/i, hint: 'must be an id', ...opts });
+}
+
+function array(items, { maxItems = 100, ...opts } = {}) {
+    return rule((value, path, errors) => {
+        if (!Array.isArray(value)) return fail(errors, path, 'must be a list');
+        if (value.length > maxItems) return fail(errors, path, `must have at most ${maxItems} items`);
+        return value.map((v, i) => checkField(items, v, `${path}[${i}]`, errors));
+    }, opts);
+}
+
+// A nested object; like the request body itself, fields it does not declare are rejected
+function object(shape, opts = {}) {
+    return rule((value, path, errors) => {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return fail(errors, path || 'body', 'must be a JSON object');
+        const out = {};
+        for (const key of Object.keys(value)) {
+            if (!Object.prototype.hasOwnProperty.call(shape, key)) fail(errors, path ? `${path}.${key}` : key, 'is not an accepted field');
+        }
+        for (const [key, field] of Object.entries(shape)) {
+            const cleaned = checkField(field, value[key], path ? `${path}.${key}` : key, errors);
+            if (cleaned !== undefined) out[key] = cleaned;
+        }
+        return out;
+    }, opts);
+}
+
+function checkField(field, value, path, errors) {
+    if (value === null && field.nullable) return null;
+    if (value === undefined || value === null) {
+        if (!field.optional) fail(errors, path, 'is required');
+        return undefined;
+    }
+    return field.clean(value, path, errors);
+}
+
+/**
+ * Express middleware. `schemas` maps body, query and/or params to a shape ({ field: rule });
+ * each part that is given is replaced by its cleaned copy. `{ body: {} }` accepts an empty body only.
+ * On failure: 400 { error: "<first problem>", errors: [{ field, message }, ...] }
+ */
+function validate(schemas) {
+    const parts = Object.entries(schemas).map(([part, shape]) => [part, object(shape)]);
+    return (req, res, next) => {
+        const errors = [];
+        const cleaned = {};
+        for (const [part, schema] of parts) {
+            // Query and path fields are named "query.q", "params.id"; body fields by themselves.
+            // body-parser leaves req.body undefined when nothing was sent.
+            cleaned[part] = schema.clean(req[part] === undefined ? {} : req[part], part === 'body' ? '' : part, errors);
+        }
+        if (errors.length) {
+            return res.status(400).json({ error: `${errors[0].field} ${errors[0].message}`, errors });
+        }
+        for (const part of Object.keys(cleaned)) req[part] = cleaned[part];
+        next();
+    };
+}
+
+module.exports = { validate, string, number, integer, boolean, oneOf, email, objectId, array, object };